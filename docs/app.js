@@ -1,4 +1,5 @@
 import { defaultLibrary } from "./data.js";
+import { CSVFetcher, WordIds, hashString } from "./csv.js";
 
 // --- State Management ---
 const state = {
@@ -8,13 +9,46 @@ const state = {
   // View State
   selectedIndices: new Set(),
   viewMode: "board", // 'board' | 'list'
+  topicFilter: { query: "", category: "", difficulty: "" },
+  topicGroups: [], // Visible words as [{ name, indices }], in display order
+  selectionAnchor: null, // Last clicked word index, start of shift-click ranges
+  editMode: false, // Word list editor on the welcome screen
+  undoStack: [], // Snapshots of { words, selected } taken before each edit
+  homeEditMode: false, // Show rename/reorder/delete controls on book cards
+  pendingBook: null, // Validated book waiting in the add dialog {url, title, count}
   theme: localStorage.getItem("theme") || "light",
+  drawMode: localStorage.getItem("draw_mode") || "deck", // 'deck' | 'endless' | 'weighted' | 'practice'
+  roundDuration: Number(localStorage.getItem("round_duration")) || 0, // Seconds, 0 = no timer
+  teamCount: Number(localStorage.getItem("team_count")) || 1, // 1 = no teams
+  teamNames: JSON.parse(localStorage.getItem("team_names") || "[]"),
+  keyMap: null, // Game action -> KeyboardEvent.code list, loaded in init()
+  tiltMode: localStorage.getItem("tilt_mode") === "1", // Answer by tilting the phone
+  tabooMode: localStorage.getItem("taboo_mode") === "1", // Show forbidden words, allow buzzing
+  autoRead: localStorage.getItem("auto_read") === "1", // Read each card aloud as it comes up
 
   // Game State
   game: {
     active: false,
-    history: [],
+    sessionId: null, // Saved session this game writes its progress to
+    drawMode: "deck",
+    pool: [], // Words to draw from in endless/weighted mode
+    playlist: [], // Cards in the order shown; grows as we go outside deck mode
+    results: [], // Per playlist card: 'correct' | 'skipped' | 'buzzed' | undefined
+    teams: [], // Team names; empty when playing without teams
+    turn: 0, // Index of the team currently playing
+    cardTeams: [], // Per playlist card: index of the team that answered it
+    showZhuyin: false, // Ruby zhuyin above the term, toggled per session
+    taboo: false, // Forbidden words shown and buzzing allowed in this game
+    shown: 0, // Playlist cards counted as shown in WordStats so far
+    cardShownAt: 0, // When the current card appeared, for time-on-card stats
     currentIndex: -1,
+    roundStartIndex: 0, // Card index the current timed round started on
+    timer: {
+      duration: 0, // Seconds per round, 0 = untimed
+      remaining: 0, // Seconds left in the current round
+      endsAt: 0, // Timestamp while running
+      intervalId: null,
+    },
   },
 };
 
@@ -25,28 +59,176 @@ const dom = {
     home: document.getElementById("home-screen"),
     welcome: document.getElementById("welcome-screen"),
     game: document.getElementById("game-screen"),
+    result: document.getElementById("result-screen"),
+    audience: document.getElementById("audience-screen"),
   },
   // Home
   bookGrid: document.getElementById("book-grid"),
   homeThemeToggle: document.getElementById("home-theme-toggle"),
+  manageBooksBtn: document.getElementById("manage-books-btn"),
+  addBookBtn: document.getElementById("add-book-btn"),
+  backupBtn: document.getElementById("backup-btn"),
+  importBookBtn: document.getElementById("import-book-btn"),
+  importFileInput: document.getElementById("import-file-input"),
+
+  // Add Book Dialog
+  addBookDialog: document.getElementById("add-book-dialog"),
+  addBookForm: document.getElementById("add-book-form"),
+  addBookUrl: document.getElementById("add-book-url"),
+  addBookTitle: document.getElementById("add-book-title"),
+  addBookValidateBtn: document.getElementById("add-book-validate-btn"),
+  addBookPreview: document.getElementById("add-book-preview"),
+  addBookConfirmBtn: document.getElementById("add-book-confirm-btn"),
+  addBookCancelBtn: document.getElementById("add-book-cancel-btn"),
+
+  // Backup Dialog
+  backupDialog: document.getElementById("backup-dialog"),
+  exportBackupBtn: document.getElementById("export-backup-btn"),
+  importBackupBtn: document.getElementById("import-backup-btn"),
+  backupFileInput: document.getElementById("backup-file-input"),
+  backupCloseBtn: document.getElementById("backup-close-btn"),
 
   // Welcome (Detail)
   backHomeBtn: document.getElementById("back-home-btn"),
   detailThemeToggle: document.getElementById("detail-theme-toggle"),
   topicTitle: document.getElementById("topic-title"),
+  syncStatus: document.getElementById("sync-status"),
   viewBtns: document.querySelectorAll(".view-btn"),
   topicContainer: document.getElementById("topic-container"),
   selectAllBtn: document.getElementById("select-all-btn"),
+  topicSearch: document.getElementById("topic-search"),
+  categoryFilter: document.getElementById("category-filter"),
+  difficultyFilter: document.getElementById("difficulty-filter"),
+  invertSelectionBtn: document.getElementById("invert-selection-btn"),
+  presetList: document.getElementById("preset-list"),
+  savePresetBtn: document.getElementById("save-preset-btn"),
+  editWordsBtn: document.getElementById("edit-words-btn"),
+  shareBookBtn: document.getElementById("share-book-btn"),
+  statsBtn: document.getElementById("stats-btn"),
+  undoEditBtn: document.getElementById("undo-edit-btn"),
+  revertForkBtn: document.getElementById("revert-fork-btn"),
   selectedCountEl: document.getElementById("selected-count"),
   startBtn: document.getElementById("start-btn"),
+  resumeBtn: document.getElementById("resume-btn"), // New Resume Button
+  sessionsPanel: document.getElementById("sessions-panel"),
+  sessionList: document.getElementById("session-list"),
+  sessionArchive: document.getElementById("session-archive"),
+  archiveCount: document.getElementById("archive-count"),
+  archiveList: document.getElementById("archive-list"),
+  drawModeBtns: document.querySelectorAll("#draw-mode-picker button"),
+  durationBtns: document.querySelectorAll("#duration-picker button"),
+  teamCountBtns: document.querySelectorAll("#team-count-picker button"),
+  tiltBtns: document.querySelectorAll("#tilt-picker button"),
+  tabooSetting: document.getElementById("taboo-setting"),
+  tabooBtns: document.querySelectorAll("#taboo-picker button"),
+  autoReadSetting: document.getElementById("auto-read-setting"),
+  autoReadBtns: document.querySelectorAll("#auto-read-picker button"),
+  editTeamsBtn: document.getElementById("edit-teams-btn"),
+
+  // Share Dialog
+  shareDialog: document.getElementById("share-dialog"),
+  exportCsvBtn: document.getElementById("export-csv-btn"),
+  exportJsonBtn: document.getElementById("export-json-btn"),
+  copyShareLinkBtn: document.getElementById("copy-share-link-btn"),
+  shareCloseBtn: document.getElementById("share-close-btn"),
+
+  // Stats Dialog
+  statsDialog: document.getElementById("stats-dialog"),
+  statsSort: document.getElementById("stats-sort"),
+  statsTable: document.getElementById("stats-table"),
+  statsEmpty: document.getElementById("stats-empty"),
+  statsClearBtn: document.getElementById("stats-clear-btn"),
+  statsCloseBtn: document.getElementById("stats-close-btn"),
+
+  // Controls Dialog
+  editControlsBtn: document.getElementById("edit-controls-btn"),
+  controlsDialog: document.getElementById("controls-dialog"),
+  keyMapList: document.getElementById("key-map-list"),
+  resetKeysBtn: document.getElementById("reset-keys-btn"),
+  controlsCloseBtn: document.getElementById("controls-close-btn"),
+
+  // Speech Dialog
+  speechSettingsBtn: document.getElementById("speech-settings-btn"),
+  speechDialog: document.getElementById("speech-dialog"),
+  speechLang: document.getElementById("speech-lang"),
+  speechVoice: document.getElementById("speech-voice"),
+  speechRate: document.getElementById("speech-rate"),
+  speechRateValue: document.getElementById("speech-rate-value"),
+  speechTestBtn: document.getElementById("speech-test-btn"),
+  speechCloseBtn: document.getElementById("speech-close-btn"),
+
+  // Teams Dialog
+  teamsDialog: document.getElementById("teams-dialog"),
+  teamsForm: document.getElementById("teams-form"),
+  teamNameFields: document.getElementById("team-name-fields"),
+  teamsCancelBtn: document.getElementById("teams-cancel-btn"),
 
   // Game
   exitBtn: document.getElementById("exit-btn"),
   cardEl: document.getElementById("card"),
   wordDisplay: document.getElementById("word-display"),
+  cardImage: document.getElementById("card-image"),
+  cardAudioBtn: document.getElementById("card-audio-btn"),
+  speakBtn: document.getElementById("speak-btn"),
+  forbiddenList: document.getElementById("forbidden-list"),
+  hintArea: document.getElementById("hint-area"),
+  hintText: document.getElementById("hint-text"),
+  zhuyinToggle: document.getElementById("zhuyin-toggle"),
   curIndexEl: document.getElementById("current-index"),
   totalCountEl: document.getElementById("total-count"),
   gameThemeToggle: document.getElementById("game-theme-toggle"),
+  passBtn: document.getElementById("pass-btn"),
+  buzzBtn: document.getElementById("buzz-btn"),
+  correctBtn: document.getElementById("correct-btn"),
+  teamBadge: document.getElementById("team-badge"),
+  endTurnBtn: document.getElementById("end-turn-btn"),
+  finishGameBtn: document.getElementById("finish-game-btn"),
+  tiltCalibrateBtn: document.getElementById("tilt-calibrate-btn"),
+  presenterBtn: document.getElementById("presenter-btn"),
+  roomBtn: document.getElementById("room-btn"),
+  guessFeed: document.getElementById("guess-feed"),
+
+  // Room Dialog
+  roomDialog: document.getElementById("room-dialog"),
+  signalUrl: document.getElementById("signal-url"),
+  roomInfo: document.getElementById("room-info"),
+  roomCode: document.getElementById("room-code"),
+  roomLink: document.getElementById("room-link"),
+  roomPeers: document.getElementById("room-peers"),
+  roomToggleBtn: document.getElementById("room-toggle-btn"),
+  roomCopyBtn: document.getElementById("room-copy-btn"),
+  roomDoneBtn: document.getElementById("room-done-btn"),
+  tiltOverlay: document.getElementById("tilt-overlay"),
+  tiltOverlayText: document.getElementById("tilt-overlay-text"),
+  gameTimer: document.getElementById("game-timer"),
+  timerText: document.getElementById("timer-text"),
+
+  // Result
+  resultIcon: document.getElementById("result-icon"),
+  resultTitle: document.getElementById("result-title"),
+  resultSummary: document.getElementById("result-summary"),
+  resultLists: document.getElementById("result-lists"),
+  resultScoreboard: document.getElementById("result-scoreboard"),
+  nextRoundBtn: document.getElementById("next-round-btn"),
+  replaySkippedBtn: document.getElementById("replay-skipped-btn"),
+  resultHomeBtn: document.getElementById("result-home-btn"),
+
+  // Audience (presenter window)
+  audienceTitle: document.getElementById("audience-title"),
+  audienceStatus: document.getElementById("audience-status"),
+  audienceTimer: document.getElementById("audience-timer"),
+  audienceProgress: document.getElementById("audience-progress"),
+  audienceScores: document.getElementById("audience-scores"),
+  roomJoinForm: document.getElementById("room-join-form"),
+  roomName: document.getElementById("room-name"),
+  roomRoleBtns: document.querySelectorAll("#room-role-picker button"),
+  guessForm: document.getElementById("guess-form"),
+  guessInput: document.getElementById("guess-input"),
+  guessFeedback: document.getElementById("guess-feedback"),
+
+  // Update Toast
+  updateToast: document.getElementById("update-toast"),
+  updateReloadBtn: document.getElementById("update-reload-btn"),
 };
 
 // --- Library Manager ---
@@ -58,7 +240,10 @@ const LibraryManager = {
 
       // Check usage of old single default structure or new array
       // Ensure ALL defaults exist and UPDATE them to match data.js (fix stale URLs)
+      // Defaults the user deleted on the home screen stay deleted.
+      const removed = this.getRemovedDefaults();
       defaultLibrary.forEach((defBook) => {
+        if (removed.includes(defBook.id)) return;
         const existingIdx = state.library.findIndex((b) => b.id === defBook.id);
         if (existingIdx === -1) {
           // Add new
@@ -88,10 +273,11 @@ const LibraryManager = {
   async syncAll() {
     // Create an array of promises to fetch all CSV books
     const promises = state.library
-      .filter((b) => b.sourceType === "csv")
-      .map((b) => this.loadBook(b.id)); // loadBook handles fetching and meta updating
+      .filter((b) => b.sourceType === "csv" && !b.forked)
+      .map((b) => this.refreshBook(b.id)); // refreshBook handles fetching, caching and meta updating
 
-    await Promise.all(promises);
+    // Failures are fine here: those books keep their offline copy
+    await Promise.allSettled(promises);
     renderHome(); // Re-render to show updated titles/counts
   },
 
@@ -99,6 +285,137 @@ const LibraryManager = {
     localStorage.setItem("library", JSON.stringify(state.library));
   },
 
+  getRemovedDefaults() {
+    try {
+      return JSON.parse(localStorage.getItem("library_removed_defaults")) || [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  addBook({ title, url, count }) {
+    const meta = {
+      id: `user-${Date.now().toString(36)}`,
+      title,
+      sourceType: "csv",
+      url,
+      count: count || 0,
+    };
+    state.library.push(meta);
+    this.save();
+    return meta;
+  },
+
+  // Store words read from a local file as a book that survives reloads
+  async addLocalBook({ title, words, metadata, fileName, shareId }) {
+    const id = `local-${Date.now().toString(36)}`;
+    const stored = await BookCache.put({
+      id,
+      words,
+      metadata,
+      syncedAt: Date.now(),
+    });
+    if (!stored) return null;
+
+    const meta = {
+      id,
+      title,
+      sourceType: "local",
+      url: null,
+      count: words.length,
+      fileName,
+      shareId, // Set for books opened from a share link
+    };
+    state.library.push(meta);
+    this.save();
+    return meta;
+  },
+
+  // Persist edited words. Books that aren't local files become a local fork
+  // that syncAll() leaves alone until the fork is reverted.
+  async saveWords(bookId, words) {
+    const meta = state.library.find((b) => b.id === bookId);
+    if (!meta) return false;
+
+    const existing = await BookCache.get(bookId);
+    const stored = await BookCache.put({
+      ...existing,
+      id: bookId,
+      words,
+      syncedAt: existing?.syncedAt || Date.now(),
+    });
+    if (!stored) return false;
+
+    if (!meta.fileName) meta.forked = true;
+    meta.count = words.length;
+    this.save();
+    return true;
+  },
+
+  // Drop local edits and go back to the sheet's contents; the fresh copy
+  // replaces the fork in the cache. A built-in book also gets its data.js URL
+  // back and leaves the removed-defaults list (a restored backup can carry
+  // both), so init() keeps it up to date again.
+  async revertFork(bookId) {
+    const meta = state.library.find((b) => b.id === bookId);
+    if (!meta || !meta.forked) return null;
+    const original = defaultLibrary.find((d) => d.id === bookId);
+    if (original) meta.url = original.url;
+    meta.forked = false;
+    let entry;
+    try {
+      entry = await this.refreshBook(bookId);
+    } catch (err) {
+      meta.forked = true;
+      throw err;
+    }
+
+    const removed = this.getRemovedDefaults();
+    if (removed.includes(bookId)) {
+      localStorage.setItem(
+        "library_removed_defaults",
+        JSON.stringify(removed.filter((id) => id !== bookId)),
+      );
+    }
+    return entry;
+  },
+
+  renameBook(bookId, title) {
+    const meta = state.library.find((b) => b.id === bookId);
+    if (!meta) return;
+    meta.title = title;
+    // Keep the user's name instead of the A1 title on the next sync
+    meta.renamed = true;
+    this.save();
+  },
+
+  moveBook(bookId, offset) {
+    const from = state.library.findIndex((b) => b.id === bookId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= state.library.length) return;
+    const [meta] = state.library.splice(from, 1);
+    state.library.splice(to, 0, meta);
+    this.save();
+  },
+
+  removeBook(bookId) {
+    state.library = state.library.filter((b) => b.id !== bookId);
+    this.save();
+
+    // Remember deleted defaults so init() doesn't bring them back
+    if (isDefaultBook(bookId)) {
+      const removed = this.getRemovedDefaults();
+      if (!removed.includes(bookId)) removed.push(bookId);
+      localStorage.setItem("library_removed_defaults", JSON.stringify(removed));
+    }
+
+    StorageManager.clearBook(bookId);
+    WordStats.clear(bookId);
+    SelectionPresets.clear(bookId);
+    Speech.clear(bookId);
+    BookCache.delete(bookId);
+  },
+
   extractMeta(book) {
     return {
       id: book.id,
@@ -113,46 +430,59 @@ const LibraryManager = {
     const meta = state.library.find((b) => b.id === bookId);
     if (!meta) return null;
 
+    // Edited books (local forks of a sheet or built-in book) live in IndexedDB
+    if (meta.forked) {
+      const entry = await BookCache.get(bookId);
+      if (entry) {
+        return {
+          id: meta.id,
+          title: meta.title,
+          sourceType: meta.sourceType,
+          url: meta.url,
+          words: WordIds.assign(entry.words),
+          syncState: "forked",
+          syncedAt: entry.syncedAt,
+        };
+      }
+    }
+
     // Check if it's one of the LOCAL defaults
     const localDefault = defaultLibrary.find(
       (d) => d.id === bookId && d.sourceType === "local",
     );
     if (localDefault) {
-      return { ...localDefault, title: meta.title };
+      return {
+        ...localDefault,
+        title: meta.title,
+        words: WordIds.assign(localDefault.words.map((w) => ({ ...w }))),
+      };
+    }
+
+    // Imported files keep their words in IndexedDB
+    if (meta.sourceType === "local") {
+      const entry = await BookCache.get(bookId);
+      if (!entry) {
+        alert("找不到這個題本的資料，請重新匯入檔案。");
+        return null;
+      }
+      return {
+        id: meta.id,
+        title: meta.title,
+        sourceType: "local",
+        words: WordIds.assign(entry.words),
+      };
     }
 
     // CSV Source (Either default CSV or user added CSV)
     if (meta.sourceType === "csv") {
-      // Fetch CSV
-      try {
-        const result = await CSVFetcher.fetch(meta.url);
-        // data: { words, metadata }
-        const words = result.words;
-
-        // Update count
-        let needsSave = false;
-        if (meta.count !== words.length) {
-          meta.count = words.length;
-          needsSave = true;
-        }
-
-        // Update Title from Metadata if present
-        if (result.metadata && result.metadata.title) {
-          if (meta.title !== result.metadata.title) {
-            meta.title = result.metadata.title;
-            needsSave = true;
-          }
-        }
+      // Serve the last good copy straight away; the caller revalidates it
+      const cached = await BookCache.get(bookId);
+      if (cached) return this.toBook(meta, cached, "cached");
 
-        if (needsSave) this.save();
-
-        return {
-          id: meta.id,
-          title: meta.title,
-          sourceType: "csv",
-          url: meta.url,
-          words: words,
-        };
+      // Nothing cached yet, so we have to wait for the network
+      try {
+        const entry = await this.refreshBook(bookId);
+        return this.toBook(meta, entry, "synced");
       } catch (err) {
         console.error("Failed to load CSV book", err);
         alert("無法讀取 CSV 連結，請檢查網址或網路狀態。");
@@ -161,285 +491,4621 @@ const LibraryManager = {
     }
     return null;
   },
-};
 
-// --- CSV Fetcher ---
-const CSVFetcher = {
-  async fetch(url) {
-    const response = await fetch(url);
-    if (!response.ok) throw new Error("Network response was not ok");
-    const text = await response.text();
-    return this.parse(text);
-  },
-
-  parse(csvText) {
-    const lines = csvText.split(/\r?\n/).filter((line) => line.trim() !== "");
-    const data = [];
-    const metadata = {};
-
-    lines.forEach((line, index) => {
-      const parts = line.split(",");
-      const term = parts[0]?.trim();
-      const zhuyin = parts[1]?.trim() || "";
-
-      if (!term) return;
-
-      // Logic: Use Row 1 (Index 0) as Title
-      if (index === 0) {
-        // If the first row, presume it's a title UNLESS it looks like a standard header
-        // Simple heuristic: If it's "Term", "Word" etc., ignore it as title but definitely skip adding as a word
-        const lower = term.toLowerCase();
-        if (
-          lower !== "term" &&
-          lower !== "word" &&
-          !lower.includes("題目") &&
-          !lower.includes("content")
-        ) {
-          metadata.title = term;
-        }
-        // Always skip the first row from being a word card, as it is either Title or Header
-        return;
+  toBook(meta, entry, syncState) {
+    return {
+      id: meta.id,
+      title: meta.title,
+      sourceType: "csv",
+      url: meta.url,
+      words: WordIds.assign(entry.words), // Copies cached before ids existed
+      syncState, // 'cached' | 'syncing' | 'synced' | 'offline'
+      syncedAt: entry.syncedAt,
+    };
+  },
+
+  // Fetch a CSV book, store it in the offline cache and update its meta.
+  // Concurrent calls for the same book share one request.
+  refreshBook(bookId) {
+    if (this.inflight[bookId]) return this.inflight[bookId];
+
+    const request = (async () => {
+      const meta = state.library.find((b) => b.id === bookId);
+      if (!meta) throw new Error(`Unknown book ${bookId}`);
+      if (meta.forked) throw new Error(`Book ${bookId} has local edits`);
+
+      const result = await CSVFetcher.fetch(meta.url);
+      // data: { words, metadata, warnings }
+      const words = result.words;
+      if (result.warnings.length > 0) {
+        console.warn(`CSV warnings for ${meta.id}`, result.warnings);
       }
 
-      data.push({ term, zhuyin });
-    });
+      // The user may have started editing while we were fetching
+      if (meta.forked) throw new Error(`Book ${bookId} has local edits`);
 
-    return { words: data, metadata };
-  },
-};
+      const entry = {
+        id: bookId,
+        words,
+        metadata: result.metadata,
+        syncedAt: Date.now(),
+      };
+      await BookCache.put(entry);
 
-// --- Navigation ---
-function navigateTo(screenName) {
-  Object.values(dom.screens).forEach((el) => el.classList.remove("active"));
-  dom.screens[screenName].classList.add("active");
-}
+      // Update count and sync time
+      meta.count = words.length;
+      meta.syncedAt = entry.syncedAt;
 
-// --- Logic Implementation ---
+      // Update Title from Metadata if present (unless renamed by the user)
+      if (!meta.renamed && result.metadata && result.metadata.title) {
+        meta.title = result.metadata.title;
+      }
 
-function init() {
-  applyTheme(state.theme);
-  LibraryManager.init();
-  renderHome();
-  setupEventListeners();
-}
+      this.save();
+      return entry;
+    })();
 
-function renderHome() {
-  dom.bookGrid.innerHTML = "";
+    this.inflight[bookId] = request;
+    request.then(
+      () => delete this.inflight[bookId],
+      () => delete this.inflight[bookId],
+    );
+    return request;
+  },
 
-  state.library.forEach((book) => {
-    const el = document.createElement("div");
-    el.className = "book-card";
-    el.innerHTML = `
-            <div class="book-title">${book.title}</div>
-            <div class="book-meta">
-                <span class="source-badge ${book.sourceType === "csv" ? "csv" : "local"}">
-                    ${book.sourceType === "csv" ? "Google Sheets" : "內建"}
-                </span>
-                <span>• ${book.count} 個詞彙</span>
-            </div>
-        `;
-    el.addEventListener("click", () => openBook(book.id));
-    dom.bookGrid.appendChild(el);
-  });
-}
+  inflight: {}, // bookId -> pending refreshBook() promise
+};
 
-async function openBook(bookId) {
-  const book = await LibraryManager.loadBook(bookId);
-  if (!book) return;
+// --- Book Cache (Offline copies of fetched books in IndexedDB) ---
+const BookCache = {
+  dbName: "guess_game",
+  storeName: "books",
+  dbPromise: null,
 
-  state.activeBook = book;
-  state.selectedIndices.clear();
-  state.viewMode = "board"; // Reset to board
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+        const req = indexedDB.open(this.dbName, 1);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: "id" });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this.dbPromise;
+  },
 
-  // Update UI
-  dom.topicTitle.textContent = book.title;
+  async request(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = action(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      // A full disk (QuotaExceededError) aborts without an error event
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+  },
 
-  renderTopicList();
-  navigateTo("welcome");
-}
+  // Cache failures only cost us offline support, so they never throw
+  async get(bookId) {
+    try {
+      return (await this.request("readonly", (s) => s.get(bookId))) || null;
+    } catch (err) {
+      console.warn("Failed to read cached book", err);
+      return null;
+    }
+  },
 
-function renderTopicList() {
-  const list = state.activeBook.words;
-  dom.topicContainer.innerHTML = "";
-  dom.topicContainer.className = `topic-grid ${state.viewMode === "list" ? "list-view" : ""}`;
+  // Resolves false if the entry couldn't be stored
+  async put(entry) {
+    try {
+      await this.request("readwrite", (s) => s.put(entry));
+      return true;
+    } catch (err) {
+      console.warn("Failed to cache book", err);
+      return false;
+    }
+  },
 
-  list.forEach((item, index) => {
-    const el = document.createElement("div");
-    el.className = "topic-item";
-    if (state.selectedIndices.has(index)) {
-      el.classList.add("selected");
+  async delete(bookId) {
+    try {
+      await this.request("readwrite", (s) => s.delete(bookId));
+    } catch (err) {
+      console.warn("Failed to delete cached book", err);
     }
+  },
 
-    // Only show term
-    el.innerHTML = `
-            <span class="topic-text">${item.term}</span>
-            <span class="material-symbols-rounded check-icon">check_circle</span>
-        `;
+  async getAll() {
+    try {
+      return await this.request("readonly", (s) => s.getAll());
+    } catch (err) {
+      console.warn("Failed to read cached books", err);
+      return [];
+    }
+  },
 
-    el.addEventListener("click", () => toggleSelection(index, el));
-    dom.topicContainer.appendChild(el);
-  });
+  async clear() {
+    try {
+      await this.request("readwrite", (s) => s.clear());
+    } catch (err) {
+      console.warn("Failed to clear cached books", err);
+    }
+  },
+};
 
-  // Init state UI
-  updateSelectionUI();
+// --- File Importer (Local CSV / TSV / JSON / XLSX files) ---
+const FileImporter = {
+  accept: ".csv,.tsv,.txt,.json,.xlsx",
 
-  // Update View Buttons
-  dom.viewBtns.forEach((btn) => {
-    if (btn.dataset.view === state.viewMode) btn.classList.add("active");
-    else btn.classList.remove("active");
-  });
-}
+  // Returns the same { words, metadata, warnings } shape as CSVFetcher.parse
+  async read(file) {
+    const ext = file.name.split(".").pop().toLowerCase();
+    let result;
 
-// --- Actions ---
+    if (ext === "xlsx") {
+      const rows = await XLSXReader.readFirstSheet(await file.arrayBuffer());
+      result = CSVFetcher.parseRows(rows);
+    } else if (ext === "json") {
+      result = this.parseJSON(await file.text());
+    } else if (ext === "csv" || ext === "tsv" || ext === "txt") {
+      const text = await file.text();
+      // .txt exports are usually tab-separated when copied out of Excel
+      const delimiter =
+        ext === "tsv" || (ext === "txt" && text.includes("\t")) ? "\t" : ",";
+      result = CSVFetcher.parse(text, delimiter);
+    } else {
+      throw new Error(`Unsupported file type: ${ext}`);
+    }
 
-function toggleSelection(index, el) {
-  if (state.selectedIndices.has(index)) {
-    state.selectedIndices.delete(index);
-    el.classList.remove("selected");
-  } else {
-    state.selectedIndices.add(index);
-    el.classList.add("selected");
-  }
-  updateSelectionUI();
-}
+    if (!result.metadata.title) {
+      result.metadata.title = file.name.replace(/\.[^.]+$/, "");
+    }
+    return result;
+  },
 
-function updateSelectionUI() {
-  const count = state.selectedIndices.size;
-  dom.selectedCountEl.textContent = count;
-  dom.startBtn.disabled = count === 0;
+  // Accepts ["word", ...], [{ term, zhuyin, ... }, ...] or
+  // { title, words: [...] }. Objects are turned into a header row plus data
+  // rows so they go through CSVFetcher's column mapping and validation.
+  parseJSON(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.words;
+    if (!Array.isArray(list)) throw new Error("JSON has no word list");
 
-  // Update Select All Text
-  const total = state.activeBook.words.length;
-  const isAllSelected = count === total && total > 0;
-  dom.selectAllBtn.textContent = isAllSelected ? "取消全選" : "全選";
-}
+    const keys = [];
+    list.forEach((item) => {
+      if (item && typeof item === "object") {
+        Object.keys(item).forEach((k) => {
+          if (!keys.includes(k)) keys.push(k);
+        });
+      }
+    });
+    if (keys.length === 0) keys.push("term");
 
-// --- Event Listeners ---
-function setupEventListeners() {
-  // Home
-  dom.homeThemeToggle.addEventListener("click", toggleTheme);
+    const rows = [{ cells: keys, line: 1 }];
+    list.forEach((item, i) => {
+      const cells =
+        item && typeof item === "object"
+          ? keys.map((k) => (item[k] == null ? "" : String(item[k]).trim()))
+          : [String(item ?? "").trim()];
+      // `line` is the 1-based position in the list for warnings
+      rows.push({ cells, line: i + 1 });
+    });
 
-  // Navigation
-  dom.backHomeBtn.addEventListener("click", () => {
-    renderHome(); // Refresh home to show updated titles/counts
-    navigateTo("home");
-  });
+    const result = CSVFetcher.parseRows(rows);
+    if (!Array.isArray(data) && data.title) {
+      result.metadata.title = String(data.title);
+    }
+    return result;
+  },
+};
 
-  // Detail
-  dom.detailThemeToggle.addEventListener("click", toggleTheme);
-  dom.startBtn.addEventListener("click", startGame);
-  dom.detailThemeToggle.addEventListener("click", toggleTheme);
-  dom.startBtn.addEventListener("click", startGame);
-  dom.exitBtn.addEventListener("click", exitGame);
+// --- XLSX Reader (First worksheet only, no dependencies) ---
+// An .xlsx file is a zip of XML parts. We read the zip directory ourselves
+// and inflate entries with the browser's DecompressionStream.
+const XLSXReader = {
+  async readFirstSheet(buffer) {
+    const files = this.readZipDirectory(buffer);
+    const text = async (name) =>
+      files[name] ? await this.inflate(buffer, files[name]) : null;
+    const parseXML = (xml) =>
+      new DOMParser().parseFromString(xml, "application/xml");
+    const byTag = (doc, tag) =>
+      Array.from(doc.getElementsByTagNameNS("*", tag));
 
-  // Game
-  if (dom.gameThemeToggle) {
-    dom.gameThemeToggle.addEventListener("click", toggleTheme);
-  }
+    // Find the first sheet listed in the workbook (not simply sheet1.xml)
+    let sheetPath = "xl/worksheets/sheet1.xml";
+    const workbook = await text("xl/workbook.xml");
+    const rels = await text("xl/_rels/workbook.xml.rels");
+    if (workbook && rels) {
+      const sheet = byTag(parseXML(workbook), "sheet")[0];
+      const relId = sheet?.getAttributeNS(
+        "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+        "id",
+      );
+      const rel = byTag(parseXML(rels), "Relationship").find(
+        (r) => r.getAttribute("Id") === relId,
+      );
+      if (rel) {
+        const target = rel.getAttribute("Target");
+        sheetPath = target.startsWith("/")
+          ? target.slice(1)
+          : `xl/${target}`.replace(/\/\.\//g, "/");
+      }
+    }
 
-  // View Toggles
-  dom.viewBtns.forEach((btn) => {
-    btn.addEventListener("click", () => {
-      state.viewMode = btn.dataset.view;
-      renderTopicList();
+    // Shared strings; skip <rPh> phonetic runs some CJK files carry
+    const shared = [];
+    const sharedXML = await text("xl/sharedStrings.xml");
+    if (sharedXML) {
+      byTag(parseXML(sharedXML), "si").forEach((si) => {
+        shared.push(
+          byTag(si, "t")
+            .filter((t) => t.parentNode.localName !== "rPh")
+            .map((t) => t.textContent)
+            .join(""),
+        );
+      });
+    }
+
+    const sheetXML = await text(sheetPath);
+    if (!sheetXML) throw new Error("XLSX has no worksheet");
+
+    return byTag(parseXML(sheetXML), "row").map((row, i) => {
+      const cells = [];
+      byTag(row, "c").forEach((c) => {
+        const col = this.columnIndex(c.getAttribute("r"), cells.length);
+        const type = c.getAttribute("t");
+        const v = byTag(c, "v")[0]?.textContent ?? "";
+        let value;
+        if (type === "s") value = shared[Number(v)] ?? "";
+        else if (type === "inlineStr")
+          value = byTag(c, "t")
+            .map((t) => t.textContent)
+            .join("");
+        else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+        else value = v;
+        cells[col] = value.trim();
+      });
+      // Fill gaps left by empty cells
+      for (let j = 0; j < cells.length; j++) cells[j] = cells[j] ?? "";
+      return { cells, line: Number(row.getAttribute("r")) || i + 1 };
     });
-  });
+  },
 
-  // Select All
-  dom.selectAllBtn.addEventListener("click", () => {
-    const total = state.activeBook.words.length;
-    if (state.selectedIndices.size === total) {
-      state.selectedIndices.clear();
-    } else {
-      for (let i = 0; i < total; i++) state.selectedIndices.add(i);
+  // "C7" -> 2; falls back to the next column when the ref is missing
+  columnIndex(ref, fallback) {
+    const letters = ref ? ref.match(/^[A-Z]+/) : null;
+    if (!letters) return fallback;
+    return (
+      letters[0]
+        .split("")
+        .reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1
+    );
+  },
+
+  readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    // End of central directory record sits at the end, before any comment
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= 0; i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
     }
-    renderTopicList();
-  });
+    if (eocd === -1) throw new Error("Not a zip file");
 
-  // Swipe
-  initSwipeAttributes();
-}
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const files = {};
 
-function toggleTheme() {
-  state.theme = state.theme === "light" ? "dark" : "light";
-  applyTheme(state.theme);
-}
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) break;
+      const nameLength = view.getUint16(offset + 28, true);
+      const name = decoder.decode(
+        new Uint8Array(buffer, offset + 46, nameLength),
+      );
+      files[name] = {
+        method: view.getUint16(offset + 10, true),
+        size: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true),
+      };
+      offset +=
+        46 +
+        nameLength +
+        view.getUint16(offset + 30, true) +
+        view.getUint16(offset + 32, true);
+    }
+    return files;
+  },
 
-function applyTheme(theme) {
-  document.documentElement.setAttribute("data-theme", theme);
-  localStorage.setItem("theme", theme);
-  const iconName = theme === "light" ? "dark_mode" : "light_mode";
-  // Update all toggles
-  [dom.homeThemeToggle, dom.detailThemeToggle, dom.gameThemeToggle].forEach(
-    (btn) => {
-      if (btn) btn.querySelector("span").textContent = iconName;
-    },
-  );
-}
+  async inflate(buffer, entry) {
+    const view = new DataView(buffer);
+    const start =
+      entry.localOffset +
+      30 +
+      view.getUint16(entry.localOffset + 26, true) +
+      view.getUint16(entry.localOffset + 28, true);
+    const data = new Uint8Array(buffer, start, entry.size);
 
-// --- Game Logic ---
-function startGame() {
-  if (state.selectedIndices.size === 0) return;
+    if (entry.method === 0) return new TextDecoder().decode(data);
+    if (entry.method !== 8) throw new Error("Unsupported zip compression");
 
-  state.game.active = true;
-  state.game.history = [];
-  state.game.currentIndex = -1;
+    const stream = new Blob([data])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Response(stream).text();
+  },
+};
 
-  // UI Update
-  dom.totalCountEl.textContent = "∞";
-  navigateTo("game");
+// --- Backup Manager (Full library + progress as one versioned JSON) ---
+const BackupManager = {
+  app: "guess-game",
+  version: 1,
+  // localStorage keys that hold settings (per-book keys are handled below)
+  settingKeys: [
+    "theme",
+    "draw_mode",
+    "round_duration",
+    "team_count",
+    "team_names",
+    "key_map",
+    "tilt_mode",
+    "taboo_mode",
+    "auto_read",
+    "signal_url",
+    "library_removed_defaults",
+  ],
+  bookKeyPrefixes: [
+    "guess_game_sessions_",
+    "guess_game_archive_",
+    "guess_game_progress_",
+    "guess_game_stats_",
+    "guess_game_presets_",
+    "guess_game_speech_",
+  ],
 
-  nextQuestion();
-}
+  async create() {
+    const books = {};
+    (await BookCache.getAll()).forEach((entry) => {
+      books[entry.id] = entry;
+    });
 
-function exitGame() {
-  state.game.active = false;
-  navigateTo("welcome");
-  dom.cardEl.style.transform = "";
-  dom.wordDisplay.textContent = "...";
-}
+    const storage = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (this.isBackedUpKey(key)) storage[key] = localStorage.getItem(key);
+    }
 
-function nextQuestion() {
-  if (state.game.currentIndex < state.game.history.length - 1) {
-    state.game.currentIndex++;
-  } else {
-    const word = getRandomWord();
-    state.game.history.push(word);
+    return {
+      app: this.app,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      library: state.library,
+      books,
+      storage,
+    };
+  },
+
+  isBackedUpKey(key) {
+    return (
+      this.settingKeys.includes(key) ||
+      this.bookKeyPrefixes.some((p) => key.startsWith(p))
+    );
+  },
+
+  // Library entries end up in the home screen's markup, so only the types
+  // the app itself writes get through
+  isBookMeta(meta) {
+    const optional = (value, type) => value == null || typeof value === type;
+    return (
+      !!meta &&
+      typeof meta.id === "string" &&
+      typeof meta.title === "string" &&
+      ["csv", "local"].includes(meta.sourceType) &&
+      Number.isFinite(meta.count) &&
+      optional(meta.url, "string") &&
+      optional(meta.fileName, "string") &&
+      optional(meta.syncedAt, "number")
+    );
+  },
+
+  validate(data) {
+    if (!data || data.app !== this.app || !Array.isArray(data.library)) {
+      throw new Error("Not a backup file");
+    }
+    if (data.version > this.version) {
+      throw new Error(`Backup version ${data.version} is newer than the app`);
+    }
+    if (!data.library.every((meta) => this.isBookMeta(meta))) {
+      throw new Error("Backup has an invalid library entry");
+    }
+    const books = Object.values(data.books || {});
+    if (
+      !books.every((e) => typeof e?.id === "string" && Array.isArray(e.words))
+    ) {
+      throw new Error("Backup has an invalid book");
+    }
+  },
+
+  // mode: 'merge' keeps books that aren't in the backup, 'replace' wipes
+  // everything first. Books in the backup overwrite ones with the same id.
+  async restore(data, mode) {
+    this.validate(data);
+
+    if (mode === "replace") {
+      Object.keys({ ...localStorage }).forEach((key) => {
+        if (key === "library" || this.isBackedUpKey(key)) {
+          localStorage.removeItem(key);
+        }
+      });
+      await BookCache.clear();
+      state.library = [];
+    }
+
+    data.library.forEach((meta) => {
+      const idx = state.library.findIndex((b) => b.id === meta.id);
+      if (idx === -1) state.library.push(meta);
+      else state.library[idx] = meta;
+    });
+    LibraryManager.save();
+
+    // Words get the same checks as an imported file: anything that isn't a
+    // word object or has no term is dropped, and every word gets an id
+    for (const entry of Object.values(data.books || {})) {
+      const list = entry.words.filter((w) => w && typeof w === "object");
+      const { words } = FileImporter.parseJSON(JSON.stringify(list));
+      await BookCache.put({ ...entry, words });
+    }
+    // Anything else in the file is not ours to write
+    Object.entries(data.storage || {}).forEach(([key, value]) => {
+      if (this.isBackedUpKey(key) && typeof value === "string") {
+        localStorage.setItem(key, value);
+      }
+    });
+  },
+};
+
+// --- Share Links (Book contents compressed into the URL hash) ---
+const ShareLink = {
+  prefix: "#share=",
+
+  async encode(book) {
+    const json = JSON.stringify({
+      title: book.title,
+      words: book.words.map((w) => withoutEmbeddedMedia(w)),
+    });
+    const stream = new Blob([json])
+      .stream()
+      .pipeThrough(new CompressionStream("deflate-raw"));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = "";
+    bytes.forEach((b) => (binary += String.fromCharCode(b)));
+    const base64 = btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+    const url = new URL(window.location.href);
+    url.hash = this.prefix.slice(1) + base64;
+    return url.toString();
+  },
+
+  async decode(hash) {
+    const base64 = hash
+      .slice(this.prefix.length)
+      .replace(/-/g, "+")
+      .replace(/_/g, "/");
+    const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    const data = JSON.parse(await new Response(stream).text());
+    if (!data || !Array.isArray(data.words)) {
+      throw new Error("Share link has no word list");
+    }
+    // Same validation as any other source
+    const result = FileImporter.parseJSON(JSON.stringify(data.words));
+    return { title: data.title || "分享的題本", words: result.words };
+  },
+};
+
+// --- Storage Manager (Saved sessions and the archive of finished ones) ---
+const ARCHIVE_LIMIT = 50;
+const SESSION_LIMIT = 20; // Unfinished sessions kept per book
+
+const StorageManager = {
+  getStorageKey(bookId) {
+    return `guess_game_sessions_${bookId}`;
+  },
+
+  getArchiveKey(bookId) {
+    return `guess_game_archive_${bookId}`;
+  },
+
+  // The single progress slot used before there were multiple sessions
+  getLegacyKey(bookId) {
+    return `guess_game_progress_${bookId}`;
+  },
+
+  readList(key) {
+    try {
+      const list = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      console.error(`Failed to parse ${key}`, e);
+      return [];
+    }
+  },
+
+  isValid(data) {
+    return (
+      !!data &&
+      Array.isArray(data.playlist) &&
+      typeof data.currentIndex === "number"
+    );
+  },
+
+  // Saved sessions, last played first. Each is the game progress plus
+  // { id, name, createdAt }; `timestamp` is when it was last saved.
+  listSessions(bookId) {
+    const sessions = this.readList(this.getStorageKey(bookId)).filter((s) =>
+      this.isValid(s),
+    );
+
+    const legacy = localStorage.getItem(this.getLegacyKey(bookId));
+    if (legacy) {
+      localStorage.removeItem(this.getLegacyKey(bookId));
+      try {
+        const data = JSON.parse(legacy);
+        if (this.isValid(data)) {
+          sessions.push({
+            ...data,
+            id: this.newId(),
+            name: "上次的遊戲",
+            createdAt: data.timestamp || Date.now(),
+          });
+          this.writeSessions(bookId, sessions);
+        }
+      } catch (e) {
+        console.error("Failed to migrate game progress", e);
+      }
+    }
+
+    return sessions.sort((a, b) => b.timestamp - a.timestamp);
+  },
+
+  // Keeps the `limit` newest entries of a list, and drops more of the
+  // oldest when storage is full. Returns false if not even the first fits.
+  writeList(key, list, limit) {
+    const kept = list.slice(0, limit);
+    for (;;) {
+      try {
+        localStorage.setItem(key, JSON.stringify(kept));
+        return true;
+      } catch (e) {
+        if (kept.length <= 1) {
+          console.error(`Failed to save ${key}`, e);
+          return false;
+        }
+        kept.pop();
+      }
+    }
+  },
+
+  writeSessions(bookId, sessions) {
+    return this.writeList(this.getStorageKey(bookId), sessions, SESSION_LIMIT);
+  },
+
+  newId() {
+    return `s-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  },
+
+  // Creates the session on its first save. Returns false if storage is full.
+  // `extra` holds optional session state, e.g. { timer: { duration, remaining } }
+  saveProgress(
+    bookId,
+    sessionId,
+    playlist,
+    currentIndex,
+    selectedIds,
+    extra = {},
+  ) {
+    const sessions = this.listSessions(bookId);
+    const existing = sessions.find((s) => s.id === sessionId);
+    const createdAt = existing ? existing.createdAt : Date.now();
+    const data = {
+      ...extra,
+      id: sessionId,
+      name: existing ? existing.name : `${formatSyncTime(createdAt)} 的遊戲`,
+      createdAt,
+      playlist,
+      currentIndex,
+      selectedIds: Array.from(selectedIds),
+      timestamp: Date.now(),
+    };
+    return this.writeSessions(bookId, [
+      data,
+      ...sessions.filter((s) => s.id !== sessionId),
+    ]);
+  },
+
+  loadProgress(bookId, sessionId) {
+    return this.listSessions(bookId).find((s) => s.id === sessionId) || null;
+  },
+
+  // Last played session, for the quick resume button
+  latestSession(bookId) {
+    return this.listSessions(bookId)[0] || null;
+  },
+
+  renameSession(bookId, sessionId, name) {
+    const sessions = this.listSessions(bookId);
+    const session = sessions.find((s) => s.id === sessionId);
+    if (!session) return;
+    session.name = name;
+    this.writeSessions(bookId, sessions);
+  },
+
+  clearProgress(bookId, sessionId) {
+    this.writeSessions(
+      bookId,
+      this.listSessions(bookId).filter((s) => s.id !== sessionId),
+    );
+  },
+
+  // Move a finished session to the archive. `summary` is
+  // { cards: [{ term, result }], teams, scores }. Returns false if storage
+  // is full; the session is gone either way, since it can't be resumed.
+  archiveSession(bookId, sessionId, summary) {
+    const session = this.loadProgress(bookId, sessionId);
+    const now = Date.now();
+    const record = {
+      ...summary,
+      id: sessionId,
+      name: session ? session.name : `${formatSyncTime(now)} 的遊戲`,
+      createdAt: session ? session.createdAt : now,
+      finishedAt: now,
+    };
+    // Clear first: the space it frees may be what the archive needs
+    this.clearProgress(bookId, sessionId);
+    return this.writeList(
+      this.getArchiveKey(bookId),
+      [record, ...this.loadArchive(bookId)],
+      ARCHIVE_LIMIT,
+    );
+  },
+
+  // Finished sessions, newest first
+  loadArchive(bookId) {
+    return this.readList(this.getArchiveKey(bookId));
+  },
+
+  deleteArchived(bookId, sessionId) {
+    const archive = this.loadArchive(bookId).filter((s) => s.id !== sessionId);
+    this.writeList(this.getArchiveKey(bookId), archive, ARCHIVE_LIMIT);
+  },
+
+  // Everything saved for a book, when the book is deleted
+  clearBook(bookId) {
+    localStorage.removeItem(this.getStorageKey(bookId));
+    localStorage.removeItem(this.getArchiveKey(bookId));
+    localStorage.removeItem(this.getLegacyKey(bookId));
+  },
+
+  // Match a saved session against the book's current words by id. Upcoming
+  // cards and pool words pick up edits and are dropped if the word was
+  // deleted; cards already played stay as they were. Returns the session
+  // with the selection as word indices, plus the terms that were removed or
+  // changed since it was saved.
+  reconcile(progress, words) {
+    const byId = WordIds.indexMap(words);
+    const byTerm = new Map(words.map((w, i) => [w.term, i]));
+    const removed = [];
+    const changed = [];
+    const note = (list, term) => {
+      if (!list.includes(term)) list.push(term);
+    };
+
+    // Sessions saved before words had ids are matched on the term
+    const find = (saved) => {
+      const index = saved.id ? byId.get(saved.id) : byTerm.get(saved.term);
+      return index === undefined ? null : words[index];
+    };
+    // Sessions saved before the media was left out still have it in full
+    const unchanged = (word, saved) =>
+      sameWord(
+        withoutEmbeddedMedia(word, { keepHash: true }),
+        withoutEmbeddedMedia({ ...saved, id: word.id }, { keepHash: true }),
+      );
+    const update = (saved) => {
+      const word = find(saved);
+      if (!word) {
+        note(removed, saved.term);
+        return null;
+      }
+      if (!unchanged(word, saved)) note(changed, word.term);
+      return { ...word };
+    };
+    // Played cards get their embedded media back from the book, unless the
+    // word has changed since
+    const restore = (saved) => {
+      const word = find(saved);
+      return word && unchanged(word, saved) ? { ...word } : saved;
+    };
+
+    const playlist = [];
+    const results = [];
+    const cardTeams = [];
+    progress.playlist.forEach((saved, i) => {
+      const word = i < progress.currentIndex ? restore(saved) : update(saved);
+      if (!word) return;
+      playlist.push(word);
+      results.push(progress.results?.[i] ?? undefined);
+      cardTeams.push(progress.cardTeams?.[i] ?? undefined);
+    });
+    const pool = (progress.pool || []).map(update).filter(Boolean);
+
+    // Older saves only have indices, which may have drifted; the words in
+    // the session itself are the better record of what was picked
+    let selected;
+    if (progress.selectedIds) {
+      selected = new Set(WordIds.toIndices(words, progress.selectedIds));
+      progress.selectedIds.forEach((id) => {
+        if (!byId.has(id)) {
+          const saved = [...progress.playlist, ...(progress.pool || [])].find(
+            (w) => w.id === id,
+          );
+          if (saved) note(removed, saved.term);
+        }
+      });
+    } else {
+      selected = new Set();
+      [...progress.playlist, ...(progress.pool || [])].forEach((saved) => {
+        const word = find(saved);
+        if (word) selected.add(byId.get(word.id));
+      });
+    }
+
+    return {
+      playlist,
+      results,
+      cardTeams,
+      pool,
+      currentIndex: Math.min(progress.currentIndex, playlist.length),
+      selected,
+      removed,
+      changed,
+    };
+  },
+};
+
+// Data-URI images and clips can be hundreds of KB each, and already live in
+// the book. Saved sessions keep a hash of them instead (`imageHash`), enough
+// to tell whether the word was edited; share links leave them out.
+const EMBEDDED_MEDIA_FIELDS = ["image", "audio"];
+const mediaHashes = new Map(); // Data URI -> hash, since sessions save often
+
+function withoutEmbeddedMedia(word, { keepHash = false } = {}) {
+  const slim = { ...word };
+  EMBEDDED_MEDIA_FIELDS.forEach((key) => {
+    const src = slim[key];
+    if (typeof src !== "string" || !src.startsWith("data:")) return;
+    if (keepHash) {
+      if (!mediaHashes.has(src)) mediaHashes.set(src, hashString(src));
+      slim[`${key}Hash`] = mediaHashes.get(src);
+    }
+    delete slim[key];
+  });
+  return slim;
+}
+
+// Same fields and values, in any key order
+function sameWord(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(keys).every(
+    (k) => String(a[k] ?? "") === String(b[k] ?? ""),
+  );
+}
+
+// --- Word Stats (How each word went across games, per book) ---
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CARD_TIME_MS = 60 * 1000; // Longer than this, nobody was playing
+
+// Entries are keyed by word id: { correct, skipped, buzzed, shown, time,
+// timed } where `time` is the total ms spent on the `timed` cards that got
+// answered. Words studied in practice mode also carry SM-2 state { ease,
+// interval, reps, due }. Stats saved before words had ids are keyed by term,
+// and move to the id the next time the word is played.
+const WordStats = {
+  // Book id -> stats that didn't fit in storage, kept until the page closes
+  // so a full localStorage doesn't stop the game
+  unsaved: new Map(),
+
+  getStorageKey(bookId) {
+    return `guess_game_stats_${bookId}`;
+  },
+
+  load(bookId) {
+    if (this.unsaved.has(bookId)) return this.unsaved.get(bookId);
+    try {
+      return JSON.parse(localStorage.getItem(this.getStorageKey(bookId))) || {};
+    } catch (e) {
+      return {};
+    }
+  },
+
+  // The word's entry in loaded stats, if it has one
+  get(stats, word) {
+    return stats[word.id] ?? stats[word.term];
+  },
+
+  update(bookId, word, change) {
+    const stats = this.load(bookId);
+    const entry = {
+      correct: 0,
+      skipped: 0,
+      buzzed: 0,
+      shown: 0,
+      time: 0,
+      timed: 0,
+      ...this.get(stats, word),
+    };
+    change(entry);
+    delete stats[word.term];
+    stats[word.id] = entry;
+    try {
+      localStorage.setItem(this.getStorageKey(bookId), JSON.stringify(stats));
+      this.unsaved.delete(bookId);
+    } catch (e) {
+      console.error("Failed to save word stats", e);
+      this.unsaved.set(bookId, stats);
+    }
+  },
+
+  recordShown(bookId, word) {
+    this.update(bookId, word, (entry) => entry.shown++);
+  },
+
+  // `previous` is the card's earlier result when it's re-marked after going
+  // back, so the tally isn't counted twice. Time on card only counts the
+  // first answer.
+  record(bookId, word, result, previous, elapsed) {
+    if (result === previous) return;
+    this.update(bookId, word, (entry) => {
+      if (previous) entry[previous] = Math.max(0, entry[previous] - 1);
+      entry[result]++;
+      if (!previous && elapsed > 0) {
+        entry.time += Math.min(elapsed, MAX_CARD_TIME_MS);
+        entry.timed++;
+      }
+    });
+  },
+
+  // SM-2 with quality 0-5: a pass resets the word to be seen again this
+  // session, a correct answer pushes it out by a growing number of days
+  review(bookId, word, quality) {
+    this.update(bookId, word, (entry) => {
+      const ease = entry.ease || 2.5;
+      if (quality >= 3) {
+        entry.reps = (entry.reps || 0) + 1;
+        entry.interval =
+          entry.reps === 1
+            ? 1
+            : entry.reps === 2
+              ? 6
+              : Math.round(entry.interval * ease);
+      } else {
+        entry.reps = 0;
+        entry.interval = 0;
+      }
+      entry.ease = Math.max(
+        1.3,
+        ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02),
+      );
+      entry.due = Date.now() + entry.interval * DAY_MS;
+    });
+  },
+
+  // Average seconds on the card, or null if never timed
+  averageSeconds(entry) {
+    return entry && entry.timed ? entry.time / entry.timed / 1000 : null;
+  },
+
+  // Share of answers that were passes, 0-1, or null if never answered
+  skipRate(entry) {
+    const answered = entry ? entry.correct + entry.skipped : 0;
+    return answered ? entry.skipped / answered : null;
+  },
+
+  clear(bookId) {
+    this.unsaved.delete(bookId);
+    localStorage.removeItem(this.getStorageKey(bookId));
+  },
+};
+
+// --- Selection Presets (Named word subsets, per book) ---
+// Stored by term text rather than index so they survive rows being added,
+// removed or reordered in the sheet.
+const SelectionPresets = {
+  getStorageKey(bookId) {
+    return `guess_game_presets_${bookId}`;
+  },
+
+  // Returns [{ name, ids, terms }] in the order they were saved. Presets
+  // saved before words had ids only have terms.
+  load(bookId) {
+    try {
+      return JSON.parse(localStorage.getItem(this.getStorageKey(bookId))) || [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  // Saving under an existing name replaces that preset. save() and remove()
+  // return false when storage is full and the presets stay as they were.
+  save(bookId, name, words) {
+    const presets = this.load(bookId).filter((p) => p.name !== name);
+    presets.push({
+      name,
+      ids: words.map((w) => w.id),
+      terms: words.map((w) => w.term),
+    });
+    return this.write(bookId, presets);
+  },
+
+  remove(bookId, name) {
+    const presets = this.load(bookId).filter((p) => p.name !== name);
+    return this.write(bookId, presets);
+  },
+
+  write(bookId, presets) {
+    try {
+      localStorage.setItem(this.getStorageKey(bookId), JSON.stringify(presets));
+      return true;
+    } catch (e) {
+      console.error("Failed to save presets", e);
+      return false;
+    }
+  },
+
+  clear(bookId) {
+    localStorage.removeItem(this.getStorageKey(bookId));
+  },
+
+  // Word indices in the preset, plus terms no longer in the book
+  resolve(words, preset) {
+    const key = preset.ids ? "id" : "term";
+    const wanted = preset.ids || preset.terms;
+    const keys = new Set(wanted);
+    const indices = [];
+    const found = new Set();
+    words.forEach((w, i) => {
+      if (!keys.has(w[key])) return;
+      indices.push(i);
+      found.add(w[key]);
+    });
+    const missing = preset.terms.filter((_, i) => !found.has(wanted[i]));
+    return { indices, missing };
+  },
+};
+
+// --- Navigation ---
+function navigateTo(screenName) {
+  Object.values(dom.screens).forEach((el) => el.classList.remove("active"));
+  dom.screens[screenName].classList.add("active");
+}
+
+// --- Logic Implementation ---
+
+function init() {
+  applyTheme(state.theme);
+  // The presenter window only mirrors the host window's game
+  if (isAudienceView()) {
+    startAudienceView();
+    return;
+  }
+  state.keyMap = loadKeyMap();
+  LibraryManager.init();
+  renderHome();
+  setupEventListeners();
+  registerServiceWorker();
+  openShareLink();
+  PresenterSync.init((message) => {
+    // Only a window with a game going answers, not every open tab
+    if (message.type === "hello" && state.game.playlist.length > 0) {
+      publishGameState();
+    }
+  });
+}
+
+// --- Service Worker (Offline / Install) ---
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  // Only reload for an update the user asked for, not the first install
+  let reloadOnUpdate = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloadOnUpdate) window.location.reload();
+  });
+
+  // A deploy changed the app's files but not sw.js: they're already in the
+  // cache, so a reload picks them up. A new worker's prompt wins. Listening
+  // before register() so a check that finishes early isn't missed.
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type !== "SHELL_UPDATED" || !dom.updateToast.hidden) return;
+    dom.updateToast.hidden = false;
+    dom.updateReloadBtn.onclick = () => window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register("./sw.js")
+    .then((registration) => {
+      const promptUpdate = (worker) => {
+        dom.updateToast.hidden = false;
+        dom.updateReloadBtn.onclick = () => {
+          reloadOnUpdate = true;
+          worker.postMessage({ type: "SKIP_WAITING" });
+        };
+      };
+
+      // A new version finished installing while the page was closed
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        promptUpdate(registration.waiting);
+      }
+
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          if (
+            worker.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            promptUpdate(worker);
+          }
+        });
+      });
+    })
+    .catch((err) => console.warn("Service worker registration failed", err));
+}
+
+function renderHome() {
+  dom.bookGrid.innerHTML = "";
+  dom.bookGrid.classList.toggle("editing", state.homeEditMode);
+  dom.manageBooksBtn.querySelector("span").textContent = state.homeEditMode
+    ? "done"
+    : "edit";
+
+  state.library.forEach((book, index) => {
+    const el = document.createElement("div");
+    el.className = "book-card";
+    el.innerHTML = `
+            <div class="book-title">${escapeHtml(book.title)}</div>
+            <div class="book-meta">
+                <span class="source-badge ${book.sourceType === "csv" ? "csv" : "local"}">
+                    ${book.sourceType === "csv" ? "Google Sheets" : book.fileName ? "本機檔案" : "內建"}
+                </span>
+                ${book.forked ? '<span class="source-badge forked" title="已在 App 內修改，不再與來源同步">已修改</span>' : ""}
+                <span>• ${book.count} 個詞彙</span>
+            </div>
+            ${book.syncedAt ? `<div class="book-sync">上次同步 ${formatSyncTime(book.syncedAt)}</div>` : ""}
+        `;
+
+    if (state.homeEditMode) {
+      const controls = document.createElement("div");
+      controls.className = "book-controls";
+      controls.innerHTML = `
+            <button class="icon-btn" data-action="rename" aria-label="重新命名">
+                <span class="material-symbols-rounded">edit</span>
+            </button>
+            <button class="icon-btn" data-action="up" aria-label="上移" ${index === 0 ? "disabled" : ""}>
+                <span class="material-symbols-rounded">arrow_upward</span>
+            </button>
+            <button class="icon-btn" data-action="down" aria-label="下移" ${index === state.library.length - 1 ? "disabled" : ""}>
+                <span class="material-symbols-rounded">arrow_downward</span>
+            </button>
+            <button class="icon-btn" data-action="delete" aria-label="刪除">
+                <span class="material-symbols-rounded">delete</span>
+            </button>
+        `;
+      controls.addEventListener("click", (e) => {
+        const btn = e.target.closest("button");
+        if (btn) handleBookAction(book, btn.dataset.action);
+      });
+      el.appendChild(controls);
+    } else {
+      el.addEventListener("click", () => openBook(book.id));
+    }
+    dom.bookGrid.appendChild(el);
+  });
+}
+
+function handleBookAction(book, action) {
+  if (action === "rename") {
+    const title = prompt("題本名稱", book.title);
+    if (title && title.trim()) LibraryManager.renameBook(book.id, title.trim());
+  } else if (action === "up") {
+    LibraryManager.moveBook(book.id, -1);
+  } else if (action === "down") {
+    LibraryManager.moveBook(book.id, 1);
+  } else if (action === "delete") {
+    if (!confirm(`確定要刪除「${book.title}」嗎？出題進度也會一併清除。`))
+      return;
+    LibraryManager.removeBook(book.id);
+  }
+  renderHome();
+}
+
+// --- Add Book Dialog ---
+function openAddBookDialog() {
+  state.pendingBook = null;
+  dom.addBookForm.reset();
+  dom.addBookPreview.innerHTML = "";
+  dom.addBookConfirmBtn.disabled = true;
+  dom.addBookDialog.showModal();
+  dom.addBookUrl.focus();
+}
+
+async function validateNewBook() {
+  const url = CSVFetcher.normalizeUrl(dom.addBookUrl.value);
+  state.pendingBook = null;
+  dom.addBookConfirmBtn.disabled = true;
+
+  if (!url) return;
+  if (state.library.some((b) => b.url === url)) {
+    dom.addBookPreview.textContent = "這個連結已經在題本列表中。";
+    return;
+  }
+
+  dom.addBookPreview.textContent = "讀取中...";
+  try {
+    const result = await CSVFetcher.fetch(url);
+    if (result.words.length === 0) {
+      dom.addBookPreview.textContent = "讀取成功，但沒有找到任何題目。";
+      return;
+    }
+
+    const title = result.metadata.title || "未命名題本";
+    state.pendingBook = { url, title, count: result.words.length };
+    if (!dom.addBookTitle.value.trim()) dom.addBookTitle.value = title;
+
+    const sample = result.words
+      .slice(0, 5)
+      .map((w) => escapeHtml(w.term))
+      .join("、");
+    const warnings = result.warnings
+      .map((w) => `<li>${escapeHtml(w.message)}</li>`)
+      .join("");
+    dom.addBookPreview.innerHTML = `
+            <div class="book-title">${escapeHtml(title)}</div>
+            <div class="book-meta">${result.words.length} 個詞彙：${sample}${result.words.length > 5 ? "…" : ""}</div>
+            <div class="book-meta">欄位：${escapeHtml(result.metadata.columns.join("、"))}</div>
+            ${warnings ? `<ul class="parse-warnings">${warnings}</ul>` : ""}
+        `;
+    dom.addBookConfirmBtn.disabled = false;
+  } catch (err) {
+    console.error("Failed to validate CSV book", err);
+    dom.addBookPreview.textContent =
+      "無法讀取 CSV 連結，請確認試算表已「發布到網路」並選擇 CSV 格式。";
+  }
+}
+
+function confirmAddBook() {
+  if (!state.pendingBook) return;
+  const title = dom.addBookTitle.value.trim();
+  const meta = LibraryManager.addBook({
+    ...state.pendingBook,
+    title: title || state.pendingBook.title,
+  });
+  if (title && title !== state.pendingBook.title) {
+    LibraryManager.renameBook(meta.id, title);
+  }
+  state.pendingBook = null;
+  dom.addBookDialog.close();
+  renderHome();
+}
+
+// --- File Import ---
+async function importBookFiles(files) {
+  for (const file of files) {
+    let result;
+    try {
+      result = await FileImporter.read(file);
+    } catch (err) {
+      console.error("Failed to import file", err);
+      alert(
+        `無法讀取「${file.name}」，請確認檔案格式為 CSV、TSV、JSON 或 XLSX。`,
+      );
+      continue;
+    }
+
+    if (result.words.length === 0) {
+      alert(`「${file.name}」裡沒有找到任何題目。`);
+      continue;
+    }
+
+    const warnings = result.warnings.length
+      ? `\n（${result.warnings.length} 列有問題已略過）`
+      : "";
+    if (
+      !confirm(
+        `匯入「${result.metadata.title}」，共 ${result.words.length} 個詞彙？${warnings}`,
+      )
+    ) {
+      continue;
+    }
+
+    const meta = await LibraryManager.addLocalBook({
+      title: result.metadata.title,
+      words: result.words,
+      metadata: result.metadata,
+      fileName: file.name,
+    });
+    if (!meta) alert("無法儲存題本，瀏覽器可能不允許離線儲存。");
+  }
+  renderHome();
+}
+
+function setupFileDrop() {
+  const home = dom.screens.home;
+  let depth = 0; // dragenter/leave fire for every child element
+
+  home.addEventListener("dragenter", (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    depth++;
+    home.classList.add("drag-over");
+  });
+  home.addEventListener("dragover", (e) => {
+    if (e.dataTransfer.types.includes("Files")) e.preventDefault();
+  });
+  home.addEventListener("dragleave", () => {
+    depth = Math.max(0, depth - 1);
+    if (depth === 0) home.classList.remove("drag-over");
+  });
+  home.addEventListener("drop", (e) => {
+    e.preventDefault();
+    depth = 0;
+    home.classList.remove("drag-over");
+    importBookFiles(Array.from(e.dataTransfer.files));
+  });
+}
+
+// --- Export / Share ---
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|]/g, "_").trim() || "book";
+}
+
+function exportBook(format) {
+  const book = state.activeBook;
+  const name = safeFileName(book.title);
+  if (format === "csv") {
+    // Ids go along so progress still matches after a re-import
+    const csv = CSVFetcher.stringify(book.title, book.words, [
+      ...getWordFields(book.words),
+      "id",
+    ]);
+    // BOM so Excel opens the Chinese text as UTF-8
+    downloadFile(`${name}.csv`, "\uFEFF" + csv, "text/csv;charset=utf-8");
+  } else {
+    const json = JSON.stringify(
+      { title: book.title, words: book.words },
+      null,
+      2,
+    );
+    downloadFile(`${name}.json`, json, "application/json");
+  }
+}
+
+async function shareBookLink() {
+  const book = state.activeBook;
+  const embedded = book.words.some((w) =>
+    EMBEDDED_MEDIA_FIELDS.some((key) => w[key]?.startsWith?.("data:")),
+  );
+  if (
+    embedded &&
+    !confirm("題本裡內嵌的圖片和音檔不會放進分享連結，要繼續嗎？")
+  ) {
+    return;
+  }
+
+  let url;
+  try {
+    url = await ShareLink.encode(book);
+  } catch (err) {
+    console.error("Failed to create share link", err);
+    alert("這個瀏覽器無法產生分享連結。");
+    return;
+  }
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: book.title, url });
+      return;
+    } catch (err) {
+      if (err.name === "AbortError") return;
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    alert("已複製分享連結。");
+  } catch (err) {
+    prompt("請複製這個分享連結：", url);
+  }
+}
+
+// Opened with #share=...: add the book (once) and go straight to it
+async function openShareLink() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(ShareLink.prefix)) return;
+  history.replaceState(
+    null,
+    "",
+    window.location.pathname + window.location.search,
+  );
+
+  // Opening the same link twice reuses the book
+  const shareId = hashString(hash);
+  let meta = state.library.find((b) => b.shareId === shareId);
+  if (!meta) {
+    try {
+      const { title, words } = await ShareLink.decode(hash);
+      meta = await LibraryManager.addLocalBook({
+        title,
+        words,
+        metadata: { title },
+        fileName: `${title}.json`,
+        shareId,
+      });
+    } catch (err) {
+      console.error("Failed to open share link", err);
+      alert("無法開啟這個分享連結，連結可能不完整。");
+      return;
+    }
+    if (!meta) {
+      alert("無法儲存題本，瀏覽器可能不允許離線儲存。");
+      return;
+    }
+    renderHome();
+  }
+  openBook(meta.id);
+}
+
+async function exportBackup() {
+  const backup = await BackupManager.create();
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    `guess-game-backup-${date}.json`,
+    JSON.stringify(backup),
+    "application/json",
+  );
+}
+
+async function importBackup(file) {
+  const mode = dom.backupDialog.querySelector(
+    'input[name="backup-mode"]:checked',
+  ).value;
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+    BackupManager.validate(data);
+  } catch (err) {
+    console.error("Failed to read backup", err);
+    alert("這不是有效的備份檔案。");
+    return;
+  }
+
+  const message =
+    mode === "replace"
+      ? `要用備份取代目前所有題本與進度嗎？（${data.library.length} 本題本）`
+      : `要把備份中的 ${data.library.length} 本題本合併進來嗎？`;
+  if (!confirm(message)) return;
+
+  await BackupManager.restore(data, mode);
+  // Simplest way to get every manager and screen in sync with the new data
+  window.location.reload();
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+async function openBook(bookId) {
+  const book = await LibraryManager.loadBook(bookId);
+  if (!book) return;
+
+  state.activeBook = book;
+  state.viewMode = "board"; // Reset to board
+  state.editMode = false;
+  state.undoStack = [];
+  state.topicFilter = { query: "", category: "", difficulty: "" };
+  state.selectionAnchor = null;
+  dom.topicSearch.value = "";
+
+  // Update UI
+  dom.topicTitle.textContent = book.title;
+  renderSyncStatus();
+
+  updateWelcomeUI(bookId);
+
+  navigateTo("welcome");
+
+  CardMedia.cacheBook(book.words);
+  if (book.syncState === "cached") revalidateActiveBook();
+}
+
+// Refresh a book opened from the offline cache and swap in the new words
+async function revalidateActiveBook() {
+  const book = state.activeBook;
+  book.syncState = "syncing";
+  renderSyncStatus();
+
+  try {
+    const entry = await LibraryManager.refreshBook(book.id);
+    if (state.activeBook !== book || book.syncState === "forked") return;
+
+    const meta = state.library.find((b) => b.id === book.id);
+    book.title = meta.title;
+    book.syncState = "synced";
+    book.syncedAt = entry.syncedAt;
+    dom.topicTitle.textContent = book.title;
+
+    if (JSON.stringify(entry.words) !== JSON.stringify(book.words)) {
+      // Keep the same words selected even if rows moved
+      const selectedIds = Array.from(state.selectedIndices).map(
+        (idx) => book.words[idx].id,
+      );
+      book.words = entry.words;
+      state.selectedIndices = new Set(
+        WordIds.toIndices(book.words, selectedIds),
+      );
+      CardMedia.cacheBook(book.words);
+      if (!state.game.active) renderTopicList();
+    }
+  } catch (err) {
+    console.warn("Background sync failed, using cached copy", err);
+    if (state.activeBook === book && book.syncState !== "forked") {
+      book.syncState = "offline";
+    }
+  }
+  if (state.activeBook === book) renderSyncStatus();
+}
+
+function formatSyncTime(timestamp) {
+  return new Date(timestamp).toLocaleString("zh-TW", {
+    month: "numeric",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+}
+
+function renderSyncStatus() {
+  const book = state.activeBook;
+  if (!book || (book.sourceType !== "csv" && book.syncState !== "forked")) {
+    dom.syncStatus.hidden = true;
+    return;
+  }
+
+  const time = book.syncedAt ? formatSyncTime(book.syncedAt) : "—";
+  const states = {
+    cached: ["cloud_done", `離線副本 · 上次同步 ${time}`],
+    syncing: ["sync", `同步中… · 上次同步 ${time}`],
+    synced: ["cloud_done", `已同步 · ${time}`],
+    offline: ["cloud_off", `無法連線，使用離線副本 · 上次同步 ${time}`],
+    forked: ["edit_note", "已在 App 內修改，不再與來源同步"],
+  };
+  const [icon, text] = states[book.syncState] || states.cached;
+
+  dom.syncStatus.hidden = false;
+  dom.syncStatus.className = `sync-status ${book.syncState}`;
+  dom.syncStatus.innerHTML = `
+            <span class="material-symbols-rounded">${icon}</span>
+            <span>${text}</span>
+        `;
+}
+
+function updateWelcomeUI(bookId) {
+  // Check for existing progress (the selection follows the last session played)
+  const progress = StorageManager.latestSession(bookId);
+
+  // Restore selection if progress exists, otherwise clear
+  // Note: If we are just refreshing (like in exitGame), we might want to keep current selection
+  // if no progress exists? But here we strictly sync with storage or clear if new.
+  if (progress) {
+    state.selectedIndices = StorageManager.reconcile(
+      progress,
+      state.activeBook.words,
+    ).selected;
+  } else {
+    // Only clear if we are opening fresh and no progress?
+    // Actually, openBook logic was: clear, then restore if progress.
+    // So consistent behavior is: always match storage or empty.
+    state.selectedIndices.clear();
+  }
+
+  renderTopicList();
+  renderSessions();
+  renderDrawModePicker();
+  renderDurationPicker();
+  renderTeamPicker();
+  renderTiltPicker();
+  renderTabooPicker();
+  renderAutoReadPicker();
+
+  // Update UI based on progress availability
+  if (progress) {
+    dom.resumeBtn.style.display = "flex";
+    dom.startBtn.innerHTML = `
+            <span class="material-symbols-rounded">play_arrow</span>
+            開始新遊戲
+        `;
+  } else {
+    dom.resumeBtn.style.display = "none";
+    dom.startBtn.innerHTML = `
+            <span class="material-symbols-rounded">play_arrow</span>
+            開始遊戲
+        `;
+  }
+}
+
+// --- Word Stats View ---
+function openStatsDialog() {
+  const hasLevels = state.activeBook.words.some(
+    (w) => w.difficulty !== undefined,
+  );
+  dom.statsSort.querySelector('option[value="level"]').hidden = !hasLevels;
+  if (!hasLevels && dom.statsSort.value === "level") {
+    dom.statsSort.value = "hardest";
+  }
+  renderStatsTable();
+  dom.statsDialog.showModal();
+}
+
+function renderStatsTable() {
+  const words = state.activeBook.words;
+  const stats = WordStats.load(state.activeBook.id);
+  const hasLevels = words.some((w) => w.difficulty !== undefined);
+  const now = Date.now();
+
+  const rows = words.map((word, index) => {
+    const entry = WordStats.get(stats, word);
+    return {
+      word,
+      index,
+      entry,
+      skipRate: WordStats.skipRate(entry),
+      avg: WordStats.averageSeconds(entry),
+    };
+  });
+
+  // Words without data for the sort key go last
+  const by = (key, dir) => (a, b) => {
+    const aMissing = a[key] === null || a[key] === undefined;
+    const bMissing = b[key] === null || b[key] === undefined;
+    if (aMissing || bMissing) return aMissing - bMissing;
+    return (a[key] - b[key]) * dir;
+  };
+  const sorters = {
+    hardest: by("skipRate", -1),
+    easiest: by("skipRate", 1),
+    slowest: by("avg", -1),
+    shown: (a, b) => (b.entry?.shown || 0) - (a.entry?.shown || 0),
+    due: (a, b) => by("due", 1)({ due: a.entry?.due }, { due: b.entry?.due }),
+    level: (a, b) =>
+      String(a.word.difficulty ?? "").localeCompare(
+        String(b.word.difficulty ?? ""),
+        undefined,
+        { numeric: true },
+      ),
+    order: (a, b) => a.index - b.index,
+  };
+  rows.sort((a, b) => sorters[dom.statsSort.value](a, b) || a.index - b.index);
+
+  const formatDue = (due) => {
+    if (due === undefined) return "—";
+    if (due <= now) return "現在";
+    return `${Math.ceil((due - now) / DAY_MS)} 天後`;
+  };
+
+  dom.statsEmpty.hidden = Object.keys(stats).length > 0;
+  dom.statsTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>題目</th>
+                    ${hasLevels ? "<th>難度</th>" : ""}
+                    <th>出現</th>
+                    <th>答對</th>
+                    <th>跳過</th>
+                    <th>平均秒數</th>
+                    <th>下次複習</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows
+                  .map(
+                    ({ word, entry, avg }) => `
+                <tr>
+                    <td>${escapeHtml(word.term)}</td>
+                    ${hasLevels ? `<td>${escapeHtml(word.difficulty ?? "")}</td>` : ""}
+                    <td>${entry?.shown || 0}</td>
+                    <td>${entry?.correct || 0}</td>
+                    <td>${entry?.skipped || 0}</td>
+                    <td>${avg === null ? "—" : avg.toFixed(1)}</td>
+                    <td>${formatDue(entry?.due)}</td>
+                </tr>`,
+                  )
+                  .join("")}
+            </tbody>
+        `;
+}
+
+function clearWordStats() {
+  if (!confirm("確定要清除這本題本的所有統計與複習進度嗎？")) return;
+  WordStats.clear(state.activeBook.id);
+  renderStatsTable();
+}
+
+// --- Saved Sessions & Archive ---
+function renderSessions() {
+  const bookId = state.activeBook.id;
+  const sessions = StorageManager.listSessions(bookId);
+  const archive = StorageManager.loadArchive(bookId);
+
+  dom.sessionsPanel.hidden = sessions.length === 0 && archive.length === 0;
+
+  dom.sessionList.innerHTML = "";
+  sessions.forEach((session) => {
+    const played = session.currentIndex;
+    const correct = (session.results || []).filter(
+      (r) => r === "correct",
+    ).length;
+    const progress =
+      (session.drawMode || "deck") === "deck"
+        ? `${played} / ${session.playlist.length} 題`
+        : `已出 ${played} 題`;
+
+    const item = document.createElement("div");
+    item.className = "session-item";
+    item.innerHTML = `
+            <div class="session-info">
+                <span class="session-name">${escapeHtml(session.name)}</span>
+                <span class="session-meta">${progress} · 答對 ${correct} · ${formatSyncTime(session.timestamp)}</span>
+            </div>
+            <div class="session-actions">
+                <button class="icon-btn" data-action="rename" aria-label="重新命名">
+                    <span class="material-symbols-rounded">edit</span>
+                </button>
+                <button class="icon-btn" data-action="delete" aria-label="刪除">
+                    <span class="material-symbols-rounded">delete</span>
+                </button>
+                <button class="text-btn" data-action="resume">繼續</button>
+            </div>
+        `;
+    item.querySelector(".session-actions").addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (btn) handleSessionAction(btn.dataset.action, session);
+    });
+    dom.sessionList.appendChild(item);
+  });
+
+  dom.sessionArchive.hidden = archive.length === 0;
+  dom.archiveCount.textContent = archive.length;
+  dom.archiveList.innerHTML = "";
+  archive.forEach((record) => {
+    const correct = record.cards.filter((c) => c.result === "correct");
+    const buzzed = record.cards.filter((c) => c.result === "buzzed");
+    const skipped = record.cards.filter((c) => isSkipped(c.result));
+    const scores = (record.teams || [])
+      .map((team, i) => `${escapeHtml(team)} ${record.scores[i]} 分`)
+      .join("、");
+    const renderList = (label, cards, className) => `
+                <div class="result-list ${className}">
+                    <h3>${label} (${cards.length})</h3>
+                    <ul>${cards.map((c) => `<li>${escapeHtml(c.term)}</li>`).join("")}</ul>
+                </div>
+            `;
+
+    const item = document.createElement("details");
+    item.className = "archive-item";
+    item.innerHTML = `
+            <summary>
+                <div class="session-info">
+                    <span class="session-name">${escapeHtml(record.name)}</span>
+                    <span class="session-meta">答對 ${correct.length} / ${record.cards.length} 題${buzzed.length > 0 ? ` · 犯規 ${buzzed.length}` : ""} · ${formatSyncTime(record.finishedAt)}</span>
+                    ${scores ? `<span class="session-meta">${scores}</span>` : ""}
+                </div>
+                <button class="icon-btn" aria-label="刪除紀錄">
+                    <span class="material-symbols-rounded">delete</span>
+                </button>
+            </summary>
+            <div class="result-lists">
+                ${renderList("答對", correct, "correct")}
+                ${renderList("跳過", skipped, "skipped")}
+                ${buzzed.length > 0 ? renderList("犯規", buzzed, "buzzed") : ""}
+            </div>
+        `;
+    item.querySelector("summary button").addEventListener("click", (e) => {
+      e.preventDefault(); // Don't toggle the details
+      if (!confirm(`確定要刪除「${record.name}」的紀錄嗎？`)) return;
+      StorageManager.deleteArchived(bookId, record.id);
+      renderSessions();
+    });
+    dom.archiveList.appendChild(item);
+  });
+}
+
+function handleSessionAction(action, session) {
+  const bookId = state.activeBook.id;
+  if (action === "resume") {
+    startGame(session.id);
+  } else if (action === "rename") {
+    const name = prompt("遊戲名稱", session.name)?.trim();
+    if (!name || name === session.name) return;
+    StorageManager.renameSession(bookId, session.id, name);
+    renderSessions();
+  } else if (action === "delete") {
+    if (!confirm(`確定要刪除「${session.name}」嗎？這場遊戲的進度會消失。`))
+      return;
+    StorageManager.clearProgress(bookId, session.id);
+    updateWelcomeUI(bookId);
+  }
+}
+
+function renderTopicList() {
+  renderEditControls();
+  if (state.editMode) {
+    renderEditList();
+    return;
+  }
+
+  const list = state.activeBook.words;
+  dom.topicContainer.innerHTML = "";
+  dom.topicContainer.className = `topic-grid ${state.viewMode === "list" ? "list-view" : ""}`;
+
+  renderTopicFilters();
+  renderPresets();
+  state.topicGroups = getTopicGroups();
+
+  state.topicGroups.forEach((group, groupIndex) => {
+    // Books without a category column get one unnamed group, no header
+    if (group.name !== null) {
+      const header = document.createElement("div");
+      header.className = "topic-group-header";
+      header.innerHTML = `
+            <span class="topic-group-name">${escapeHtml(group.name || "未分類")}</span>
+            <span class="topic-group-count">${group.indices.length}</span>
+            <button class="text-btn" data-group="${groupIndex}"></button>
+        `;
+      header
+        .querySelector("button")
+        .addEventListener("click", () => toggleGroupSelection(group));
+      dom.topicContainer.appendChild(header);
+    }
+
+    group.indices.forEach((index) => {
+      const item = list[index];
+      const el = document.createElement("div");
+      el.className = "topic-item";
+      el.dataset.index = index;
+      if (state.selectedIndices.has(index)) {
+        el.classList.add("selected");
+      }
+
+      // Only show term
+      el.innerHTML = `
+            ${Speech.supported ? `<button class="topic-speak-btn" aria-label="朗讀"><span class="material-symbols-rounded">volume_up</span></button>` : ""}
+            <span class="topic-text">${escapeHtml(item.term)}</span>
+            <span class="material-symbols-rounded check-icon">check_circle</span>
+        `;
+
+      el.addEventListener("click", (e) => handleTopicClick(index, e));
+      const speakBtn = el.querySelector(".topic-speak-btn");
+      if (speakBtn) {
+        // Listening to a word neither selects it nor starts a drag
+        speakBtn.addEventListener("pointerdown", (e) => e.stopPropagation());
+        speakBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          Speech.speak(item.term);
+        });
+      }
+      dom.topicContainer.appendChild(el);
+    });
+  });
+
+  if (list.length > 0 && state.topicGroups.length === 0) {
+    dom.topicContainer.innerHTML = `<p class="topic-empty">沒有符合的題目</p>`;
+  }
+
+  // Init state UI
+  updateSelectionUI();
+
+  // Update View Buttons
+  dom.viewBtns.forEach((btn) => {
+    if (btn.dataset.view === state.viewMode) btn.classList.add("active");
+    else btn.classList.remove("active");
+  });
+}
+
+// --- Topic Filters ---
+// Fill the category/difficulty dropdowns from the active book, hiding the
+// ones the book has no column for
+function renderTopicFilters() {
+  const words = state.activeBook.words;
+  const fill = (select, key, allLabel, format) => {
+    const values = [];
+    words.forEach((w) => {
+      const value = w[key] === undefined ? "" : String(w[key]);
+      if (value !== "" && !values.includes(value)) values.push(value);
+    });
+    if (key === "difficulty") {
+      values.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+    // Drop a filter value that no longer exists (e.g. after a sync)
+    if (!values.includes(state.topicFilter[key])) state.topicFilter[key] = "";
+
+    select.hidden = values.length === 0;
+    select.innerHTML = [
+      `<option value="">${allLabel}</option>`,
+      ...values.map(
+        (v) =>
+          `<option value="${escapeHtml(v)}">${escapeHtml(format(v))}</option>`,
+      ),
+    ].join("");
+    select.value = state.topicFilter[key];
+  };
+
+  fill(dom.categoryFilter, "category", "全部分類", (v) => v);
+  fill(dom.difficultyFilter, "difficulty", "全部難度", (v) => `難度 ${v}`);
+}
+
+function matchesTopicFilter(word) {
+  const { query, category, difficulty } = state.topicFilter;
+  if (category && String(word.category ?? "") !== category) return false;
+  if (difficulty && String(word.difficulty ?? "") !== difficulty) return false;
+  if (!query) return true;
+
+  // Zhuyin is matched without its spaces so "ㄆㄧㄥˊㄍ" finds "ㄆㄧㄥˊ ㄍㄨㄛˇ"
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  return [word.term, word.zhuyin, word.hint, word.category].some(
+    (field) =>
+      field && String(field).toLowerCase().replace(/\s+/g, "").includes(needle),
+  );
+}
+
+// Visible words grouped by category, groups in order of first appearance
+// and uncategorised words last. name is null when the book has no categories.
+function getTopicGroups() {
+  const words = state.activeBook.words;
+  const hasCategories = words.some((w) => w.category);
+  const groups = new Map();
+
+  words.forEach((word, index) => {
+    if (!matchesTopicFilter(word)) return;
+    const name = hasCategories ? String(word.category || "") : null;
+    if (!groups.has(name)) groups.set(name, { name, indices: [] });
+    groups.get(name).indices.push(index);
+  });
+
+  return Array.from(groups.values()).sort(
+    (a, b) => (a.name === "") - (b.name === ""),
+  );
+}
+
+function getVisibleIndices() {
+  return state.topicGroups.flatMap((g) => g.indices);
+}
+
+function setTopicFilter(key, value) {
+  state.topicFilter[key] = value;
+  renderTopicList();
+}
+
+// --- Selection Presets ---
+function renderPresets() {
+  const book = state.activeBook;
+  const presets = SelectionPresets.load(book.id);
+  dom.presetList.innerHTML = "";
+
+  presets.forEach((preset) => {
+    const { indices, missing } = SelectionPresets.resolve(book.words, preset);
+    const chip = document.createElement("div");
+    chip.className = "preset-chip";
+    chip.innerHTML = `
+            <button class="preset-apply">
+                <span>${escapeHtml(preset.name)}</span>
+                <span class="preset-count">${indices.length}</span>
+            </button>
+            <button class="preset-delete" aria-label="刪除題組">
+                <span class="material-symbols-rounded">close</span>
+            </button>
+        `;
+    if (missing.length > 0) {
+      chip.title = `有 ${missing.length} 個題目已不在題本中：${missing.join("、")}`;
+    }
+    chip
+      .querySelector(".preset-apply")
+      .addEventListener("click", () => applyPreset(preset));
+    chip
+      .querySelector(".preset-delete")
+      .addEventListener("click", () => deletePreset(preset));
+    dom.presetList.appendChild(chip);
+  });
+}
+
+function applyPreset(preset) {
+  const { indices } = SelectionPresets.resolve(state.activeBook.words, preset);
+  state.selectedIndices = new Set(indices);
+  updateSelectionUI();
+}
+
+function savePreset() {
+  const book = state.activeBook;
+  const words = Array.from(state.selectedIndices)
+    .sort((a, b) => a - b)
+    .map((i) => book.words[i]);
+  if (words.length === 0) return;
+
+  const name = prompt(`為這 ${words.length} 個題目取個題組名稱`, "")?.trim();
+  if (!name) return;
+  const exists = SelectionPresets.load(book.id).some((p) => p.name === name);
+  if (exists && !confirm(`已有名為「${name}」的題組，要取代它嗎？`)) return;
+
+  if (!SelectionPresets.save(book.id, name, words)) {
+    alert("儲存空間已滿，題組無法儲存。");
+    return;
+  }
+  renderPresets();
+}
+
+function deletePreset(preset) {
+  if (!confirm(`確定要刪除題組「${preset.name}」嗎？`)) return;
+  if (!SelectionPresets.remove(state.activeBook.id, preset.name)) {
+    alert("儲存空間已滿，題組無法刪除。");
+    return;
+  }
+  renderPresets();
+}
+
+// --- Word Editor ---
+const UNDO_LIMIT = 50;
+
+function toggleEditMode() {
+  state.editMode = !state.editMode;
+  if (!state.editMode) state.undoStack = [];
+  renderTopicList();
+}
+
+function renderEditControls() {
+  const book = state.activeBook;
+  dom.screens.welcome.classList.toggle("editing", state.editMode);
+  dom.editWordsBtn.querySelector("span").textContent = state.editMode
+    ? "done"
+    : "edit_note";
+  dom.undoEditBtn.hidden = !state.editMode;
+  dom.undoEditBtn.disabled = state.undoStack.length === 0;
+  dom.revertForkBtn.hidden = !(
+    book.syncState === "forked" && book.sourceType === "csv"
+  );
+  dom.revertForkBtn.textContent = isDefaultBook(book.id)
+    ? "還原為原始題本"
+    : "還原試算表版本";
+}
+
+function isDefaultBook(bookId) {
+  return defaultLibrary.some((d) => d.id === bookId);
+}
+
+// Fields shown in the editor and exported: term, zhuyin and any extra column.
+// The id is internal and kept out of the editor.
+function getWordFields(words) {
+  const fields = ["term", "zhuyin", "id"];
+  words.forEach((w) => {
+    Object.keys(w).forEach((k) => {
+      if (!fields.includes(k)) fields.push(k);
+    });
+  });
+  return fields.filter((f) => f !== "id");
+}
+
+const FIELD_LABELS = {
+  term: "題目",
+  zhuyin: "注音",
+  hint: "提示",
+  category: "分類",
+  difficulty: "難度",
+  forbidden: "禁語",
+  image: "圖片",
+  audio: "音檔",
+};
+
+function renderEditList() {
+  const fields = getWordFields(state.activeBook.words);
+  dom.topicContainer.innerHTML = "";
+  dom.topicContainer.className = "edit-list";
+
+  state.activeBook.words.forEach((word, index) => {
+    const row = document.createElement("div");
+    row.className = "edit-row";
+    row.innerHTML = `
+            <span class="edit-index">${index + 1}</span>
+            <div class="edit-fields">
+                ${fields
+                  .map(
+                    (f) => `
+                <input data-field="${escapeHtml(f)}" value="${escapeHtml(word[f] ?? "")}"
+                    placeholder="${escapeHtml(FIELD_LABELS[f] || f)}" aria-label="${escapeHtml(FIELD_LABELS[f] || f)}">`,
+                  )
+                  .join("")}
+            </div>
+            <div class="edit-actions">
+                <button class="icon-btn" data-action="up" aria-label="上移" ${index === 0 ? "disabled" : ""}>
+                    <span class="material-symbols-rounded">arrow_upward</span>
+                </button>
+                <button class="icon-btn" data-action="down" aria-label="下移" ${index === state.activeBook.words.length - 1 ? "disabled" : ""}>
+                    <span class="material-symbols-rounded">arrow_downward</span>
+                </button>
+                <button class="icon-btn" data-action="delete" aria-label="刪除">
+                    <span class="material-symbols-rounded">delete</span>
+                </button>
+            </div>
+        `;
+
+    row.querySelectorAll("input").forEach((input) => {
+      input.addEventListener("change", () =>
+        editWordField(index, input.dataset.field, input),
+      );
+    });
+    row.querySelector(".edit-actions").addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      if (btn.dataset.action === "delete") deleteWord(index);
+      else moveWord(index, btn.dataset.action === "up" ? -1 : 1);
+    });
+    dom.topicContainer.appendChild(row);
+  });
+
+  // Add a new word at the end
+  const addRow = document.createElement("form");
+  addRow.className = "edit-row edit-add-row";
+  addRow.innerHTML = `
+            <span class="edit-index material-symbols-rounded">add</span>
+            <div class="edit-fields">
+                <input name="term" placeholder="新增題目" aria-label="新增題目">
+                <input name="zhuyin" placeholder="注音" aria-label="注音">
+            </div>
+            <div class="edit-actions">
+                <button type="submit" class="text-btn">新增</button>
+            </div>
+        `;
+  addRow.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const term = addRow.elements.term.value.trim();
+    if (!term) return;
+    addWord({ term, zhuyin: addRow.elements.zhuyin.value.trim() });
+    dom.topicContainer.querySelector(".edit-add-row input")?.focus();
+  });
+  dom.topicContainer.appendChild(addRow);
+
+  updateSelectionUI();
+}
+
+// Every edit goes through here: snapshot for undo, mutate, persist
+function applyWordsEdit(mutate) {
+  const book = state.activeBook;
+  state.undoStack.push({
+    words: book.words.map((w) => ({ ...w })),
+    selected: Array.from(state.selectedIndices),
+  });
+  if (state.undoStack.length > UNDO_LIMIT) state.undoStack.shift();
+
+  mutate(book.words);
+  WordIds.assign(book.words); // New words need one
+  persistWords();
+  renderTopicList();
+}
+
+async function persistWords() {
+  const book = state.activeBook;
+  const saved = await LibraryManager.saveWords(book.id, book.words);
+  if (!saved) {
+    alert("無法儲存修改，瀏覽器可能不允許離線儲存。");
+    return;
+  }
+  const meta = state.library.find((b) => b.id === book.id);
+  if (meta.forked && book.syncState !== "forked") {
+    book.syncState = "forked";
+    renderSyncStatus();
+    renderEditControls();
+  }
+}
+
+function editWordField(index, field, input) {
+  const value = input.value.trim();
+  const word = state.activeBook.words[index];
+  if (field === "term" && !value) {
+    alert("題目不能是空白。");
+    input.value = word.term;
+    return;
+  }
+  if ((word[field] ?? "") === value) return;
+
+  // The word keeps its id, so a corrected term keeps its stats and progress
+  applyWordsEdit((words) => {
+    if (value === "" && field !== "zhuyin") delete words[index][field];
+    else
+      words[index][field] =
+        field === "difficulty" ? CSVFetcher.parseDifficulty(value) : value;
+  });
+}
+
+function addWord(word) {
+  applyWordsEdit((words) => words.push(word));
+}
+
+// Selections are stored as indices, so shift them along with the words
+function deleteWord(index) {
+  applyWordsEdit((words) => {
+    words.splice(index, 1);
+    state.selectedIndices = new Set(
+      Array.from(state.selectedIndices)
+        .filter((i) => i !== index)
+        .map((i) => (i > index ? i - 1 : i)),
+    );
+  });
+}
+
+function moveWord(index, offset) {
+  const to = index + offset;
+  if (to < 0 || to >= state.activeBook.words.length) return;
+  applyWordsEdit((words) => {
+    [words[index], words[to]] = [words[to], words[index]];
+    const swap = (i) => (i === index ? to : i === to ? index : i);
+    state.selectedIndices = new Set(
+      Array.from(state.selectedIndices).map(swap),
+    );
+  });
+}
+
+function undoEdit() {
+  const snapshot = state.undoStack.pop();
+  if (!snapshot) return;
+  state.activeBook.words = snapshot.words;
+  state.selectedIndices = new Set(snapshot.selected);
+  persistWords();
+  renderTopicList();
+}
+
+async function revertFork() {
+  const book = state.activeBook;
+  const source = isDefaultBook(book.id) ? "原始題本" : "試算表的內容";
+  if (!confirm(`要捨棄在 App 內的修改，改回${source}嗎？`)) return;
+  try {
+    const entry = await LibraryManager.revertFork(book.id);
+    book.words = entry.words;
+    book.syncState = "synced";
+    book.syncedAt = entry.syncedAt;
+    book.title = state.library.find((b) => b.id === book.id).title;
+    dom.topicTitle.textContent = book.title;
+    state.selectedIndices.clear();
+    state.undoStack = [];
+    state.editMode = false;
+    renderSyncStatus();
+    renderTopicList();
+  } catch (err) {
+    console.error("Failed to revert fork", err);
+    alert("無法讀取 CSV 連結，請檢查網址或網路狀態。");
+  }
+}
+
+// --- Actions ---
+
+function handleTopicClick(index, e) {
+  if (topicDrag.suppressClick) {
+    topicDrag.suppressClick = false;
+    return;
+  }
+  if (e.shiftKey && state.selectionAnchor !== null) {
+    // Shift-click extends the anchor's state over the range
+    const select = state.selectedIndices.has(state.selectionAnchor);
+    setRangeSelected(state.selectionAnchor, index, select);
+  } else {
+    toggleSelection(index);
+    state.selectionAnchor = index;
+  }
+  updateSelectionUI();
+}
+
+function toggleSelection(index) {
+  if (state.selectedIndices.has(index)) {
+    state.selectedIndices.delete(index);
+  } else {
+    state.selectedIndices.add(index);
+  }
+}
+
+// Select or deselect every visible word between two word indices
+function setRangeSelected(fromIndex, toIndex, select) {
+  const visible = getVisibleIndices();
+  const from = visible.indexOf(fromIndex);
+  const to = visible.indexOf(toIndex);
+  if (from === -1 || to === -1) return;
+
+  visible.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((index) => {
+    if (select) state.selectedIndices.add(index);
+    else state.selectedIndices.delete(index);
+  });
+}
+
+// Select all / none of the given indices, like the toolbar button
+function toggleIndicesSelection(indices) {
+  const allSelected = indices.every((i) => state.selectedIndices.has(i));
+  indices.forEach((i) => {
+    if (allSelected) state.selectedIndices.delete(i);
+    else state.selectedIndices.add(i);
+  });
+  updateSelectionUI();
+}
+
+function toggleGroupSelection(group) {
+  toggleIndicesSelection(group.indices);
+}
+
+function invertSelection() {
+  getVisibleIndices().forEach(toggleSelection);
+  updateSelectionUI();
+}
+
+// --- Long-press drag selection (touch and mouse) ---
+const LONG_PRESS_MS = 400;
+const topicDrag = {
+  timer: null,
+  startX: 0,
+  startY: 0,
+  anchor: null, // Word index the drag started on; null until long-pressed
+  select: true, // Whether the drag selects or deselects
+  snapshot: null, // Selection before the drag, so shrinking the range undoes
+  suppressClick: false, // Swallow the click that follows the drag
+};
+
+function setupTopicDragSelect() {
+  const container = dom.topicContainer;
+
+  container.addEventListener("pointerdown", (e) => {
+    const item = e.target.closest(".topic-item");
+    if (!item || state.editMode || e.button !== 0) return;
+    const index = Number(item.dataset.index);
+    topicDrag.startX = e.clientX;
+    topicDrag.startY = e.clientY;
+    topicDrag.suppressClick = false;
+    clearTimeout(topicDrag.timer);
+    topicDrag.timer = setTimeout(() => {
+      topicDrag.anchor = index;
+      topicDrag.select = !state.selectedIndices.has(index);
+      topicDrag.snapshot = new Set(state.selectedIndices);
+      topicDrag.suppressClick = true;
+      container.classList.add("drag-selecting");
+      if (navigator.vibrate) navigator.vibrate(10);
+      extendDragSelection(index);
+    }, LONG_PRESS_MS);
+  });
+
+  container.addEventListener("pointermove", (e) => {
+    if (topicDrag.anchor === null) {
+      // Moving before the long press fires means the user is scrolling
+      const moved =
+        Math.abs(e.clientX - topicDrag.startX) > 10 ||
+        Math.abs(e.clientY - topicDrag.startY) > 10;
+      if (moved) clearTimeout(topicDrag.timer);
+      return;
+    }
+    // Touch pointers stay captured by the first item, so hit-test instead
+    const item = document
+      .elementFromPoint(e.clientX, e.clientY)
+      ?.closest(".topic-item");
+    if (item) extendDragSelection(Number(item.dataset.index));
+  });
+
+  const endDrag = () => {
+    clearTimeout(topicDrag.timer);
+    if (topicDrag.anchor === null) return;
+    state.selectionAnchor = topicDrag.anchor;
+    topicDrag.anchor = null;
+    topicDrag.snapshot = null;
+    container.classList.remove("drag-selecting");
+  };
+  container.addEventListener("pointerup", endDrag);
+  container.addEventListener("pointercancel", endDrag);
+
+  // Keep the page from scrolling or opening a context menu mid-drag
+  container.addEventListener(
+    "touchmove",
+    (e) => {
+      if (topicDrag.anchor !== null) e.preventDefault();
+    },
+    { passive: false },
+  );
+  container.addEventListener("contextmenu", (e) => {
+    if (topicDrag.anchor !== null) e.preventDefault();
+  });
+}
+
+function extendDragSelection(index) {
+  state.selectedIndices = new Set(topicDrag.snapshot);
+  setRangeSelected(topicDrag.anchor, index, topicDrag.select);
+  updateSelectionUI();
+}
+
+function updateSelectionUI() {
+  const count = state.selectedIndices.size;
+  dom.selectedCountEl.textContent = count;
+  dom.startBtn.disabled = count === 0;
+  dom.savePresetBtn.disabled = count === 0;
+
+  if (state.editMode) return;
+
+  dom.topicContainer.querySelectorAll(".topic-item").forEach((el) => {
+    el.classList.toggle(
+      "selected",
+      state.selectedIndices.has(Number(el.dataset.index)),
+    );
+  });
+
+  // Select All / per-group buttons act on the visible words only
+  const isAllSelected = (indices) =>
+    indices.length > 0 && indices.every((i) => state.selectedIndices.has(i));
+  dom.selectAllBtn.textContent = isAllSelected(getVisibleIndices())
+    ? "取消全選"
+    : "全選";
+  dom.topicContainer
+    .querySelectorAll(".topic-group-header button")
+    .forEach((btn) => {
+      const group = state.topicGroups[btn.dataset.group];
+      btn.textContent = isAllSelected(group.indices) ? "取消全選" : "全選";
+    });
+}
+
+// --- Event Listeners ---
+function setupEventListeners() {
+  // Home
+  dom.homeThemeToggle.addEventListener("click", toggleTheme);
+  dom.manageBooksBtn.addEventListener("click", () => {
+    state.homeEditMode = !state.homeEditMode;
+    renderHome();
+  });
+  dom.addBookBtn.addEventListener("click", openAddBookDialog);
+  dom.importFileInput.accept = FileImporter.accept;
+  dom.importBookBtn.addEventListener("click", () =>
+    dom.importFileInput.click(),
+  );
+  dom.importFileInput.addEventListener("change", () => {
+    importBookFiles(Array.from(dom.importFileInput.files));
+    dom.importFileInput.value = ""; // Allow re-importing the same file
+  });
+  setupFileDrop();
+
+  // Backup Dialog
+  dom.backupBtn.addEventListener("click", () => dom.backupDialog.showModal());
+  dom.backupCloseBtn.addEventListener("click", () => dom.backupDialog.close());
+  dom.exportBackupBtn.addEventListener("click", exportBackup);
+  dom.importBackupBtn.addEventListener("click", () =>
+    dom.backupFileInput.click(),
+  );
+  dom.backupFileInput.addEventListener("change", () => {
+    const file = dom.backupFileInput.files[0];
+    dom.backupFileInput.value = "";
+    if (file) importBackup(file);
+  });
+
+  // Add Book Dialog
+  dom.addBookValidateBtn.addEventListener("click", validateNewBook);
+  dom.addBookUrl.addEventListener("change", validateNewBook);
+  dom.addBookCancelBtn.addEventListener("click", () =>
+    dom.addBookDialog.close(),
+  );
+  dom.addBookForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    confirmAddBook();
+  });
+
+  // Navigation
+  dom.backHomeBtn.addEventListener("click", () => {
+    renderHome(); // Refresh home to show updated titles/counts
+    navigateTo("home");
+  });
+
+  // Detail
+  dom.detailThemeToggle.addEventListener("click", toggleTheme);
+  dom.startBtn.addEventListener("click", () => startGame()); // Start New
+  dom.resumeBtn.addEventListener("click", () => {
+    // Resume the last session played
+    const latest = StorageManager.latestSession(state.activeBook.id);
+    if (latest) startGame(latest.id);
+  });
+  dom.exitBtn.addEventListener("click", exitGame);
+  dom.drawModeBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.drawMode = btn.dataset.mode;
+      localStorage.setItem("draw_mode", state.drawMode);
+      renderDrawModePicker();
+    });
+  });
+  dom.durationBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.roundDuration = Number(btn.dataset.duration);
+      localStorage.setItem("round_duration", state.roundDuration);
+      renderDurationPicker();
+    });
+  });
+  dom.teamCountBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.teamCount = Number(btn.dataset.teams);
+      localStorage.setItem("team_count", state.teamCount);
+      renderTeamPicker();
+    });
+  });
+  dom.tiltBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.tiltMode = btn.dataset.tilt === "1";
+      localStorage.setItem("tilt_mode", state.tiltMode ? "1" : "0");
+      renderTiltPicker();
+    });
+  });
+  dom.tabooBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.tabooMode = btn.dataset.taboo === "1";
+      localStorage.setItem("taboo_mode", state.tabooMode ? "1" : "0");
+      renderTabooPicker();
+    });
+  });
+  dom.autoReadBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.autoRead = btn.dataset.read === "1";
+      localStorage.setItem("auto_read", state.autoRead ? "1" : "0");
+      renderAutoReadPicker();
+    });
+  });
+  dom.tiltCalibrateBtn.addEventListener("click", () => TiltControl.calibrate());
+  dom.editTeamsBtn.addEventListener("click", openTeamsDialog);
+  dom.teamsCancelBtn.addEventListener("click", () => dom.teamsDialog.close());
+  dom.teamsForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveTeamNames();
+  });
+
+  // Game Controls
+  dom.passBtn.addEventListener("click", () => runGameAction("pass"));
+  dom.buzzBtn.addEventListener("click", () => runGameAction("buzz"));
+  dom.correctBtn.addEventListener("click", () => runGameAction("correct"));
+
+  dom.zhuyinToggle.addEventListener("click", () => {
+    state.game.showZhuyin = !state.game.showZhuyin;
+    updateCardUI();
+    saveGameProgress();
+  });
+  dom.hintArea.addEventListener("click", () => {
+    dom.hintArea.classList.add("revealed");
+  });
+  // Tapping the hint or a sound button shouldn't start a card swipe
+  ["mousedown", "touchstart"].forEach((type) => {
+    dom.hintArea.addEventListener(type, (e) => e.stopPropagation());
+    dom.cardAudioBtn.addEventListener(type, (e) => e.stopPropagation());
+    dom.speakBtn.addEventListener(type, (e) => e.stopPropagation());
+  });
+  dom.speakBtn.addEventListener("click", () =>
+    Speech.speak(state.game.playlist[state.game.currentIndex].term),
+  );
+  dom.cardAudioBtn.addEventListener("click", () =>
+    CardMedia.play(state.game.playlist[state.game.currentIndex]),
+  );
+  // A broken image link leaves just the term
+  dom.cardImage.addEventListener("error", () => {
+    dom.cardImage.hidden = true;
+  });
+
+  dom.presenterBtn.hidden = !("BroadcastChannel" in window);
+  dom.presenterBtn.addEventListener("click", openPresenterWindow);
+  dom.roomBtn.hidden = !("RTCPeerConnection" in window);
+  dom.roomBtn.addEventListener("click", openRoomDialog);
+  dom.roomToggleBtn.addEventListener("click", toggleRoom);
+  dom.roomCopyBtn.addEventListener("click", copyRoomLink);
+  dom.roomDoneBtn.addEventListener("click", () => dom.roomDialog.close());
+  // The audience window goes back to waiting when the host closes
+  window.addEventListener("pagehide", () =>
+    PresenterSync.post({ type: "state", screen: "idle" }),
+  );
+
+  dom.endTurnBtn.addEventListener("click", () => {
+    if (state.game.active) endRound("turn");
+  });
+  dom.finishGameBtn.addEventListener("click", () => runGameAction("finish"));
+
+  // Result
+  dom.nextRoundBtn.addEventListener("click", startNextRound);
+  dom.replaySkippedBtn.addEventListener("click", replaySkipped);
+  dom.resultHomeBtn.addEventListener("click", () => {
+    TiltControl.stop();
+    updateWelcomeUI(state.activeBook.id);
+    navigateTo("welcome");
+  });
+
+  // Keep the remaining time if the tab is closed mid-round
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden" && state.game.active) {
+      saveGameProgress();
+    }
+    // The browser drops the wake lock whenever the page is hidden
+    if (document.visibilityState === "visible" && state.game.active) {
+      ScreenWakeLock.acquire();
+    }
+  });
+
+  // Game
+  if (dom.gameThemeToggle) {
+    dom.gameThemeToggle.addEventListener("click", toggleTheme);
+  }
+
+  // View Toggles
+  dom.viewBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.viewMode = btn.dataset.view;
+      renderTopicList();
+    });
+  });
+
+  // Share Dialog
+  dom.shareBookBtn.addEventListener("click", () => dom.shareDialog.showModal());
+  dom.shareCloseBtn.addEventListener("click", () => dom.shareDialog.close());
+  dom.exportCsvBtn.addEventListener("click", () => exportBook("csv"));
+  dom.exportJsonBtn.addEventListener("click", () => exportBook("json"));
+  dom.copyShareLinkBtn.addEventListener("click", shareBookLink);
+
+  // Speech Dialog
+  dom.speechSettingsBtn.addEventListener("click", openSpeechDialog);
+  dom.speechLang.addEventListener("change", () => {
+    saveSpeechSettings({ lang: dom.speechLang.value, voice: "" });
+    renderSpeechSettings();
+  });
+  dom.speechVoice.addEventListener("change", () =>
+    saveSpeechSettings({ voice: dom.speechVoice.value }),
+  );
+  dom.speechRate.addEventListener("input", () => {
+    saveSpeechSettings({ rate: Number(dom.speechRate.value) });
+    dom.speechRateValue.textContent = `${dom.speechRate.value}×`;
+  });
+  dom.speechTestBtn.addEventListener("click", () =>
+    Speech.speak(state.activeBook.words[0]?.term || "你好"),
+  );
+  dom.speechCloseBtn.addEventListener("click", () => dom.speechDialog.close());
+  if (Speech.supported) {
+    // Most browsers load their voice list some time after the page
+    speechSynthesis.addEventListener("voiceschanged", () => {
+      if (dom.speechDialog.open) renderSpeechSettings();
+    });
+  }
+
+  // Stats Dialog
+  dom.statsBtn.addEventListener("click", openStatsDialog);
+  dom.statsSort.addEventListener("change", renderStatsTable);
+  dom.statsClearBtn.addEventListener("click", clearWordStats);
+  dom.statsCloseBtn.addEventListener("click", () => dom.statsDialog.close());
+
+  // Word Editor
+  dom.editWordsBtn.addEventListener("click", toggleEditMode);
+  dom.undoEditBtn.addEventListener("click", undoEdit);
+  dom.revertForkBtn.addEventListener("click", revertFork);
+
+  // Select All / Invert (visible words only)
+  dom.selectAllBtn.addEventListener("click", () =>
+    toggleIndicesSelection(getVisibleIndices()),
+  );
+  dom.invertSelectionBtn.addEventListener("click", invertSelection);
+
+  // Selection Presets
+  dom.savePresetBtn.addEventListener("click", savePreset);
+
+  // Search & Filters
+  dom.topicSearch.addEventListener("input", () =>
+    setTopicFilter("query", dom.topicSearch.value.trim()),
+  );
+  dom.categoryFilter.addEventListener("change", () =>
+    setTopicFilter("category", dom.categoryFilter.value),
+  );
+  dom.difficultyFilter.addEventListener("change", () =>
+    setTopicFilter("difficulty", dom.difficultyFilter.value),
+  );
+  setupTopicDragSelect();
+
+  // Swipe
+  initSwipeAttributes();
+
+  // Keyboard, clickers & gamepads
+  document.addEventListener("keydown", handleGameKey);
+  window.addEventListener("gamepadconnected", pollGamepads);
+  dom.editControlsBtn.addEventListener("click", openControlsDialog);
+  dom.resetKeysBtn.addEventListener("click", () => {
+    cancelKeyCapture();
+    state.keyMap = structuredClone(DEFAULT_KEY_MAP);
+    saveKeyMap();
+    renderKeyMap();
+  });
+  dom.controlsCloseBtn.addEventListener("click", () =>
+    dom.controlsDialog.close(),
+  );
+  dom.controlsDialog.addEventListener("close", cancelKeyCapture);
+}
+
+function toggleTheme() {
+  state.theme = state.theme === "light" ? "dark" : "light";
+  applyTheme(state.theme);
+}
+
+function applyTheme(theme) {
+  document.documentElement.setAttribute("data-theme", theme);
+  localStorage.setItem("theme", theme);
+  const iconName = theme === "light" ? "dark_mode" : "light_mode";
+  // Update all toggles
+  [dom.homeThemeToggle, dom.detailThemeToggle, dom.gameThemeToggle].forEach(
+    (btn) => {
+      if (btn) btn.querySelector("span").textContent = iconName;
+    },
+  );
+}
+
+// --- Game Logic ---
+// `sessionId` resumes that saved session; without it a new session starts.
+// `words` overrides the selection as the new game's pool (e.g. replaying skipped cards)
+function startGame(sessionId = null, words = null) {
+  const isResume = sessionId !== null;
+  unlockAudio();
+
+  if (isResume) {
+    // RESUME MODE
+    const progress = StorageManager.loadProgress(
+      state.activeBook.id,
+      sessionId,
+    );
+    if (progress) {
+      state.game.sessionId = sessionId;
+      // The book may have changed since the session was saved
+      const current = StorageManager.reconcile(
+        progress,
+        state.activeBook.words,
+      );
+      reportReconciledWords(current);
+      state.game.drawMode = progress.drawMode || "deck";
+      state.game.pool = current.pool;
+      state.game.playlist = current.playlist;
+      state.game.currentIndex = current.currentIndex;
+      state.game.results = current.results;
+      state.game.teams = progress.teams || [];
+      state.game.turn = progress.turn || 0;
+      state.game.cardTeams = current.cardTeams;
+      state.game.showZhuyin = !!progress.showZhuyin;
+      state.game.taboo = !!progress.taboo;
+      // The card showing when the session was saved was already counted
+      state.game.shown = Math.min(
+        progress.shown ?? state.game.currentIndex + 1,
+        state.game.playlist.length,
+      );
+      // Restore selected indices for visual consistency if needed, though game is already built
+      state.selectedIndices = current.selected;
+      // Continue the saved round; a round that already ran out starts afresh
+      const saved = progress.timer || { duration: 0, remaining: 0 };
+      state.game.timer.duration = saved.duration;
+      state.game.timer.remaining = saved.remaining || saved.duration;
+    } else {
+      // Fallback if load fails
+      alert("無法讀取存檔，將開始新遊戲。");
+      startGame();
+      return;
+    }
+  } else {
+    // NEW GAME MODE
+    const pool =
+      words ||
+      Array.from(state.selectedIndices).map(
+        (idx) => state.activeBook.words[idx],
+      );
+    if (pool.length === 0) return;
+
+    // Create playlist: the whole deck up front, or the first random draw
+    state.game.drawMode = state.drawMode;
+    if (state.game.drawMode === "deck") {
+      state.game.pool = [];
+      state.game.playlist = shuffle([...pool]);
+    } else {
+      state.game.pool = pool;
+      state.game.playlist = [];
+      state.game.playlist.push(drawWord());
+    }
+    state.game.results = [];
+    state.game.teams = getTeamNames();
+    state.game.turn = 0;
+    state.game.cardTeams = [];
+    state.game.showZhuyin = false;
+    // Books without a forbidden-words column play as usual
+    state.game.taboo = state.tabooMode && pool.some((w) => w.forbidden);
+    state.game.shown = 0;
+    state.game.currentIndex = -1; // Will be incremented to 0 by nextQuestion logic if we used that, but here we set to start.
+
+    // Logic for new game setup
+    state.game.currentIndex = 0;
+    state.game.timer.duration = state.roundDuration;
+    state.game.timer.remaining = state.roundDuration;
+    // Other saved sessions are kept; this one gets its own slot
+    state.game.sessionId = StorageManager.newId();
+    // Save INITIAL new progress
+    if (!saveGameProgress()) {
+      alert("儲存空間已滿，這場遊戲的進度將無法儲存。");
+    }
+  }
+
+  // UI Update
+  state.game.active = true;
+  navigateTo("game");
+
+  // Every upcoming card of a resumed session may have been deleted
+  if (state.game.currentIndex >= state.game.playlist.length) {
+    if (state.game.drawMode === "deck" || state.game.pool.length === 0) {
+      finishGame();
+      return;
+    }
+    state.game.playlist.push(drawWord());
+  }
+  if (isResume) saveGameProgress();
+
+  updateCardUI();
+  trackCardShown();
+  startRound();
+  ScreenWakeLock.acquire();
+  if (state.tiltMode) TiltControl.start();
+}
+
+// Tell the players what changed in the book since a resumed session was saved
+function reportReconciledWords({ removed, changed }) {
+  const list = (terms) =>
+    terms.length > 10
+      ? `${terms.slice(0, 10).join("、")} 等`
+      : terms.join("、");
+  const lines = [];
+  if (removed.length > 0) {
+    lines.push(`已刪除 ${removed.length} 題，不會再出現：${list(removed)}`);
+  }
+  if (changed.length > 0) {
+    lines.push(`已修改 ${changed.length} 題，改用新的內容：${list(changed)}`);
+  }
+  if (lines.length > 0) {
+    alert(`題本在上次存檔後有變動。\n${lines.join("\n")}`);
+  }
+}
+
+function exitGame() {
+  state.game.active = false;
+  pauseTimer();
+  CardMedia.stop();
+  Speech.stop();
+  ScreenWakeLock.release();
+  TiltControl.stop();
+  if (state.activeBook) {
+    // Save progress one last time to be sure
+    saveGameProgress();
+    updateWelcomeUI(state.activeBook.id);
+  }
+  navigateTo("welcome");
+  publishGameState();
+  dom.cardEl.style.transform = "";
+  dom.wordDisplay.textContent = "...";
+}
+
+function saveGameProgress() {
+  const { duration, remaining } = state.game.timer;
+  const slim = (word) => withoutEmbeddedMedia(word, { keepHash: true });
+  return StorageManager.saveProgress(
+    state.activeBook.id,
+    state.game.sessionId,
+    state.game.playlist.map(slim),
+    state.game.currentIndex,
+    Array.from(state.selectedIndices).map(
+      (idx) => state.activeBook.words[idx].id,
+    ),
+    {
+      timer: { duration, remaining },
+      drawMode: state.game.drawMode,
+      pool: state.game.pool.map(slim),
+      results: state.game.results,
+      teams: state.game.teams,
+      turn: state.game.turn,
+      cardTeams: state.game.cardTeams,
+      showZhuyin: state.game.showZhuyin,
+      taboo: state.game.taboo,
+      shown: state.game.shown,
+    },
+  );
+}
+
+// Called whenever a card comes up: starts its clock and counts it as shown
+// once, however often players go back to it. Whatever the last card was
+// saying stops and its room guesses go; with auto-read on, this one is read
+// out.
+function trackCardShown() {
+  const { currentIndex, playlist } = state.game;
+  if (currentIndex >= state.game.shown) {
+    WordStats.recordShown(state.activeBook.id, playlist[currentIndex]);
+    state.game.shown = currentIndex + 1;
+  }
+  state.game.cardShownAt = Date.now();
+
+  CardMedia.stop();
+  Speech.stop();
+  clearRoomGuesses();
+  if (state.autoRead) readCardAloud(playlist[currentIndex]);
+}
+
+// A recorded clip beats the synthetic voice
+function readCardAloud(word) {
+  if (word.audio) CardMedia.play(word);
+  else Speech.speak(word.term);
+}
+
+// Record how the current card went and move on (or finish on the last card)
+function markCard(result) {
+  const index = state.game.currentIndex;
+  const word = state.game.playlist[index];
+  const previous = state.game.results[index];
+  const elapsed = Date.now() - state.game.cardShownAt;
+  WordStats.record(state.activeBook.id, word, result, previous, elapsed);
+  if (state.game.drawMode === "practice" && !previous) {
+    WordStats.review(state.activeBook.id, word, reviewQuality(result, elapsed));
+  }
+  state.game.results[index] = result;
+  state.game.cardTeams[index] = state.game.turn;
+
+  if (index < state.game.playlist.length - 1) {
+    nextQuestion();
+  } else if (state.game.drawMode === "deck") {
+    finishGame();
+  } else {
+    // Endless modes never run out: draw the next card
+    state.game.playlist.push(drawWord());
+    nextQuestion();
+  }
+}
+
+// --- Draw Modes ---
+const NO_REPEAT_WINDOW = 5; // Endless modes avoid the last few cards shown
+
+// Pick the next card from the pool for endless/weighted/practice mode
+function drawWord() {
+  const { pool, playlist, drawMode } = state.game;
+  const windowSize = Math.min(NO_REPEAT_WINDOW, pool.length - 1);
+  const recent = new Set(
+    windowSize > 0 ? playlist.slice(-windowSize).map((w) => w.id) : [],
+  );
+  const candidates = pool.filter((w) => !recent.has(w.id));
+
+  // Weighted mode favours words skipped more often than guessed
+  const stats = WordStats.load(state.activeBook.id);
+  if (drawMode === "practice") return pickDueWord(candidates, stats);
+  const weights = candidates.map((w) => {
+    if (drawMode !== "weighted") return 1;
+    const s = WordStats.get(stats, w);
+    return s ? 1 + 2 * Math.max(0, s.skipped - s.correct) : 1;
+  });
+
+  let pick = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    pick -= weights[i];
+    if (pick < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+// Practice mode: overdue words first (longest overdue first), then words
+// never practised in book order, then whichever comes due soonest
+function pickDueWord(candidates, stats) {
+  const now = Date.now();
+  const rank = (word) => {
+    const entry = WordStats.get(stats, word);
+    if (!entry || entry.due === undefined) return [1, 0];
+    return entry.due <= now ? [0, entry.due] : [2, entry.due];
+  };
+  let best = candidates[0];
+  let bestRank = rank(best);
+  candidates.slice(1).forEach((word) => {
+    const r = rank(word);
+    if (r[0] < bestRank[0] || (r[0] === bestRank[0] && r[1] < bestRank[1])) {
+      best = word;
+      bestRank = r;
+    }
+  });
+  return best;
+}
+
+// SM-2 quality for a practice answer: quick correct answers count as easy
+function reviewQuality(result, elapsed) {
+  if (result !== "correct") return 1;
+  return elapsed < 10 * 1000 ? 5 : 4;
+}
+
+function renderDrawModePicker() {
+  dom.drawModeBtns.forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.mode === state.drawMode);
+  });
+}
+
+function nextQuestion() {
+  if (state.game.currentIndex < state.game.playlist.length - 1) {
     state.game.currentIndex++;
+    updateCardUI();
+    trackCardShown();
+    // Save Progress
+    saveGameProgress();
+  }
+}
+
+function prevQuestion() {
+  if (state.game.currentIndex > 0) {
+    state.game.currentIndex--;
+    updateCardUI();
+    trackCardShown();
+    // Save Progress
+    saveGameProgress();
+  }
+}
+
+// --- Round Timer ---
+const TIMER_WARNING_SECONDS = 10;
+
+function startRound() {
+  state.game.roundStartIndex = state.game.currentIndex;
+  dom.gameTimer.hidden = state.game.timer.duration === 0;
+  renderTeamBadge();
+  if (state.game.timer.duration > 0) resumeTimer();
+}
+
+function resumeTimer() {
+  const timer = state.game.timer;
+  pauseTimer();
+  timer.endsAt = Date.now() + timer.remaining * 1000;
+  // Tick faster than once a second so the display never skips a number
+  timer.intervalId = setInterval(tickTimer, 250);
+  renderTimer();
+}
+
+function pauseTimer() {
+  const timer = state.game.timer;
+  if (timer.intervalId === null) return;
+  clearInterval(timer.intervalId);
+  timer.intervalId = null;
+  timer.remaining = Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+}
+
+function tickTimer() {
+  const timer = state.game.timer;
+  const remaining = Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+  if (remaining === timer.remaining) return;
+  timer.remaining = remaining;
+  renderTimer();
+
+  if (remaining === 0) {
+    endRound();
+  } else if (remaining <= TIMER_WARNING_SECONDS) {
+    playBeep(880, 0.08);
+    if (navigator.vibrate) navigator.vibrate(50);
+  }
+}
+
+function renderTimer() {
+  const { remaining } = state.game.timer;
+  dom.timerText.textContent = formatTimer(remaining);
+  dom.gameTimer.classList.toggle("warning", remaining <= TIMER_WARNING_SECONDS);
+  publishGameState();
+}
+
+function formatTimer(remaining) {
+  const minutes = Math.floor(remaining / 60);
+  const seconds = String(remaining % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+// Ends the current round, either because time ran out or (in team mode)
+// because the turn was ended by hand
+function endRound(reason = "time") {
+  const timedOut = reason === "time";
+  pauseTimer();
+  state.game.active = false;
+  state.game.timer.remaining = 0;
+  ScreenWakeLock.release();
+
+  // Hand the shared playlist to the next team before saving, so resuming
+  // later puts the right team on deck
+  const team = state.game.teams[state.game.turn];
+  if (isTeamGame()) {
+    state.game.turn = (state.game.turn + 1) % state.game.teams.length;
+  }
+  saveGameProgress();
+
+  if (timedOut) {
+    playBeep(440, 0.6);
+    if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+  }
+
+  // The card on screen when time ran out wasn't answered
+  const left = state.game.playlist.length - state.game.currentIndex;
+  const title = timedOut ? "時間到！" : "換隊！";
+  showResults({
+    icon: timedOut ? "timer_off" : "sync_alt",
+    title: team ? `${team} ${title}` : title,
+    note: state.game.drawMode === "deck" ? `還剩 ${left} 題` : "",
+    from: state.game.roundStartIndex,
+    to: state.game.currentIndex,
+    canContinue: true,
+  });
+}
+
+function finishGame() {
+  pauseTimer();
+  state.game.active = false;
+  ScreenWakeLock.release();
+  // The game is over, so there's nothing left to resume; keep its results
+  const archived = StorageManager.archiveSession(
+    state.activeBook.id,
+    state.game.sessionId,
+    {
+      cards: state.game.playlist.map((word, i) => ({
+        term: word.term,
+        result: state.game.results[i] || "skipped",
+      })),
+      teams: state.game.teams,
+      scores: getTeamScores(),
+    },
+  );
+  if (!archived) alert("儲存空間已滿，這場遊戲的紀錄無法儲存。");
+
+  showResults({
+    icon: "emoji_events",
+    title: "遊戲結束！",
+    note: isTeamGame() ? describeWinner() : "",
+    from: 0,
+    to: state.game.playlist.length,
+    canContinue: false,
+  });
+}
+
+// Ends the game now, whatever the draw mode; endless and practice games only
+// finish this way. Cards that never came up aren't part of the results.
+function finishGameEarly() {
+  if (!confirm("要結束這場遊戲並查看結果嗎？")) return;
+  state.game.playlist.length = state.game.shown;
+  finishGame();
+}
+
+// Result screen for playlist cards [from, to)
+function showResults({ icon, title, note, from, to, canContinue }) {
+  const cards = state.game.playlist
+    .slice(from, to)
+    .map((word, i) => ({ word, result: state.game.results[from + i] }));
+  const correct = cards.filter((c) => c.result === "correct");
+  const buzzed = cards.filter((c) => c.result === "buzzed");
+  const skipped = cards.filter((c) => isSkipped(c.result));
+  const allSkipped = getSkippedWords();
+
+  dom.resultIcon.textContent = icon;
+  dom.resultTitle.textContent = title;
+  dom.resultSummary.textContent = `答對 ${correct.length} / ${cards.length} 題${buzzed.length > 0 ? `，犯規 ${buzzed.length} 次` : ""}${note ? `，${note}` : ""}`;
+
+  const renderList = (label, items, className) => `
+            <div class="result-list ${className}">
+                <h3>${label} (${items.length})</h3>
+                <ul>${items.map((c) => `<li>${escapeHtml(c.word.term)}</li>`).join("")}</ul>
+            </div>
+        `;
+  dom.resultLists.innerHTML =
+    renderList("答對", correct, "correct") +
+    renderList("跳過", skipped, "skipped") +
+    (buzzed.length > 0 ? renderList("犯規", buzzed, "buzzed") : "");
+
+  CardMedia.stop();
+  Speech.stop();
+  renderScoreboard(canContinue);
+
+  dom.nextRoundBtn.hidden = !canContinue;
+  if (canContinue) {
+    const next = state.game.teams[state.game.turn];
+    dom.nextRoundBtn.innerHTML = `
+            <span class="material-symbols-rounded">play_arrow</span>
+            ${next ? `換 ${escapeHtml(next)} 上場` : "下一回合"}
+        `;
+  }
+  dom.replaySkippedBtn.hidden = canContinue || allSkipped.length === 0;
+
+  dom.cardEl.style.transform = "";
+  navigateTo("result");
+  publishGameState();
+}
+
+// Passed cards and any that were never answered, e.g. when time ran out
+function isSkipped(result) {
+  return result !== "correct" && result !== "buzzed";
+}
+
+function getSkippedWords() {
+  return state.game.playlist.filter((_, i) => isSkipped(state.game.results[i]));
+}
+
+function replaySkipped() {
+  startGame(null, getSkippedWords());
+}
+
+// --- Teams ---
+function isTeamGame() {
+  return state.game.teams.length > 1;
+}
+
+function getTeamNames() {
+  if (state.teamCount <= 1) return [];
+  return Array.from(
+    { length: state.teamCount },
+    (_, i) => state.teamNames[i] || `第 ${i + 1} 隊`,
+  );
+}
+
+// Correct answers per team, minus a point for each taboo buzz. Derived from
+// the per-card results so going back and re-marking a card keeps the
+// scoreboard right.
+function getTeamScores() {
+  const scores = state.game.teams.map(() => 0);
+  state.game.results.forEach((result, i) => {
+    const team = state.game.cardTeams[i];
+    if (scores[team] === undefined) return;
+    if (result === "correct") scores[team]++;
+    else if (result === "buzzed") scores[team]--;
+  });
+  return scores;
+}
+
+function describeWinner() {
+  const scores = getTeamScores();
+  const best = Math.max(...scores);
+  const winners = state.game.teams.filter((_, i) => scores[i] === best);
+  return winners.length > 1 ? "平手！" : `${winners[0]} 獲勝！`;
+}
+
+function renderTeamBadge() {
+  const teamGame = isTeamGame();
+  dom.teamBadge.hidden = !teamGame;
+  dom.endTurnBtn.hidden = !teamGame;
+  if (!teamGame) return;
+  const score = getTeamScores()[state.game.turn];
+  dom.teamBadge.textContent = `${state.game.teams[state.game.turn]} · ${score} 分`;
+}
+
+// `onDeck` highlights the team that plays next instead of the leader
+function renderScoreboard(onDeck) {
+  if (!isTeamGame()) {
+    dom.resultScoreboard.hidden = true;
+    return;
+  }
+  const scores = getTeamScores();
+  const best = Math.max(...scores);
+  dom.resultScoreboard.hidden = false;
+  dom.resultScoreboard.innerHTML = state.game.teams
+    .map((name, i) => {
+      const highlight = onDeck ? i === state.game.turn : scores[i] === best;
+      return `
+            <div class="score-row ${highlight ? "highlight" : ""}">
+                <span class="score-name">${escapeHtml(name)}</span>
+                <span class="score-value">${scores[i]}</span>
+            </div>
+        `;
+    })
+    .join("");
+}
+
+function renderTeamPicker() {
+  dom.teamCountBtns.forEach((btn) => {
+    btn.classList.toggle(
+      "active",
+      Number(btn.dataset.teams) === state.teamCount,
+    );
+  });
+  dom.editTeamsBtn.hidden = state.teamCount <= 1;
+}
+
+function renderTiltPicker() {
+  dom.tiltBtns.forEach((btn) => {
+    btn.classList.toggle(
+      "active",
+      (btn.dataset.tilt === "1") === state.tiltMode,
+    );
+  });
+}
+
+// Only books with a forbidden-words column can be played as taboo
+function renderTabooPicker() {
+  dom.tabooSetting.hidden = !state.activeBook.words.some((w) => w.forbidden);
+  dom.tabooBtns.forEach((btn) => {
+    btn.classList.toggle(
+      "active",
+      (btn.dataset.taboo === "1") === state.tabooMode,
+    );
+  });
+}
+
+function renderAutoReadPicker() {
+  dom.autoReadSetting.hidden = !Speech.supported;
+  dom.autoReadBtns.forEach((btn) => {
+    btn.classList.toggle(
+      "active",
+      (btn.dataset.read === "1") === state.autoRead,
+    );
+  });
+}
+
+function openTeamsDialog() {
+  dom.teamNameFields.innerHTML = "";
+  getTeamNames().forEach((name, i) => {
+    const label = document.createElement("label");
+    label.className = "field";
+    label.innerHTML = `<span>第 ${i + 1} 隊</span>`;
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = name;
+    input.maxLength = 20;
+    label.appendChild(input);
+    dom.teamNameFields.appendChild(label);
+  });
+  dom.teamsDialog.showModal();
+}
+
+function saveTeamNames() {
+  const inputs = dom.teamNameFields.querySelectorAll("input");
+  inputs.forEach((input, i) => {
+    state.teamNames[i] = input.value.trim() || `第 ${i + 1} 隊`;
+  });
+  localStorage.setItem("team_names", JSON.stringify(state.teamNames));
+  dom.teamsDialog.close();
+}
+
+// The card showing when time ran out opens the next round
+function startNextRound() {
+  state.game.active = true;
+  state.game.timer.remaining = state.game.timer.duration;
+  saveGameProgress();
+  navigateTo("game");
+  updateCardUI();
+  trackCardShown();
+  startRound();
+  ScreenWakeLock.acquire();
+  // The phone was taken off the forehead to read the results
+  if (state.tiltMode) TiltControl.calibrate();
+}
+
+function renderDurationPicker() {
+  dom.durationBtns.forEach((btn) => {
+    btn.classList.toggle(
+      "active",
+      Number(btn.dataset.duration) === state.roundDuration,
+    );
+  });
+}
+
+// --- Presenter Window (Audience view on a second screen, same device) ---
+// The host window posts a snapshot of the game whenever it changes and the
+// audience window (opened with ?view=audience) renders it. Snapshots never
+// carry the word, so the projector can't give it away.
+const PRESENTER_CHANNEL = "guess-game-presenter";
+
+const PresenterSync = {
+  channel: null,
+
+  init(onMessage) {
+    if (!("BroadcastChannel" in window)) return;
+    this.channel = new BroadcastChannel(PRESENTER_CHANNEL);
+    this.channel.addEventListener("message", (e) => onMessage(e.data));
+  },
+
+  post(message) {
+    if (this.channel) this.channel.postMessage(message);
+  },
+};
+
+function isAudienceView() {
+  return new URLSearchParams(window.location.search).get("view") === "audience";
+}
+
+function openPresenterWindow() {
+  const win = window.open(
+    "?view=audience",
+    "guess-game-audience",
+    "popup,width=960,height=600",
+  );
+  if (!win) alert("投影畫面被瀏覽器擋下了，請允許這個網站開啟彈出式視窗。");
+}
+
+// Host side: send what the audience may see to the presenter window and
+// to any devices in the room
+function publishGameState() {
+  const snapshot = getGameSnapshot();
+  PresenterSync.post(snapshot);
+  Room.broadcast(snapshot);
+}
+
+function getGameSnapshot() {
+  const screen = ["game", "result"].find((name) =>
+    dom.screens[name].classList.contains("active"),
+  );
+  if (!screen) return { type: "state", screen: "idle" };
+  const { playlist, currentIndex, drawMode, results, timer, teams, turn } =
+    state.game;
+  return {
+    type: "state",
+    screen,
+    title: state.activeBook.title,
+    index: currentIndex + 1,
+    total: drawMode === "deck" ? playlist.length : null,
+    correct: results.filter((r) => r === "correct").length,
+    timer: { duration: timer.duration, remaining: timer.remaining },
+    teams,
+    turn,
+    scores: getTeamScores(),
+    result:
+      screen === "result"
+        ? {
+            title: dom.resultTitle.textContent,
+            summary: dom.resultSummary.textContent,
+          }
+        : null,
+  };
+}
+
+function startAudienceView() {
+  navigateTo("audience");
+  // Invite links to a multiplayer room open the same view
+  if (new URLSearchParams(window.location.search).has("room")) {
+    startRoomGuestView();
+    return;
+  }
+  document.title = `投影畫面 · ${document.title}`;
+  PresenterSync.init((message) => {
+    if (message.type === "state") renderAudience(message);
+  });
+  if (!PresenterSync.channel) {
+    dom.audienceStatus.textContent = "這個瀏覽器不支援投影畫面";
+    return;
+  }
+  // Ask the host for the game in progress
+  PresenterSync.post({ type: "hello" });
+}
+
+function renderAudience(snapshot) {
+  const { screen } = snapshot;
+  dom.guessForm.hidden = Room.role !== "guesser" || screen !== "game";
+  if (screen === "idle") {
+    dom.audienceTitle.textContent = "";
+    dom.audienceStatus.textContent = "等待主持人開始遊戲…";
+    dom.audienceTimer.hidden = true;
+    dom.audienceProgress.textContent = "";
+    dom.audienceScores.hidden = true;
+    return;
+  }
+
+  const { teams, turn, scores, timer } = snapshot;
+  const teamGame = teams.length > 1;
+  dom.audienceTitle.textContent = snapshot.title;
+  if (screen === "result") {
+    dom.audienceStatus.textContent = snapshot.result.title;
+    dom.audienceProgress.textContent = snapshot.result.summary;
+  } else {
+    dom.audienceStatus.textContent = teamGame
+      ? `${teams[turn]} 作答中`
+      : "作答中";
+    dom.audienceProgress.textContent = `第 ${snapshot.index}${snapshot.total ? ` / ${snapshot.total}` : ""} 題 · 答對 ${snapshot.correct} 題`;
+  }
+
+  dom.audienceTimer.hidden = screen !== "game" || timer.duration === 0;
+  dom.audienceTimer.textContent = formatTimer(timer.remaining);
+  dom.audienceTimer.classList.toggle(
+    "warning",
+    timer.remaining <= TIMER_WARNING_SECONDS,
+  );
+
+  dom.audienceScores.hidden = !teamGame;
+  dom.audienceScores.innerHTML = teams
+    .map(
+      (name, i) => `
+            <div class="score-row ${i === turn ? "highlight" : ""}">
+                <span class="score-name">${escapeHtml(name)}</span>
+                <span class="score-value">${scores[i]}</span>
+            </div>
+        `,
+    )
+    .join("");
+}
+
+// --- Multiplayer Room (Other devices follow the game over WebRTC) ---
+// The host keeps the only copy of the game. Peers get the same snapshots as
+// the presenter window over a data channel; guessers send guesses back.
+// Signalling just introduces the devices, and is pluggable: any object with
+//   connect(room, peerId, role, onMessage) -> Promise, send(message), close()
+// that relays { type: "signal", to, data } between peers of a room and
+// reports "peers" / "peer-joined" / "peer-left" will do. It reports
+// { type: "closed" } if the server goes away, which ends the room.
+// signalling-server.mjs is a minimal one for local use.
+const HOST_PEER_ID = "host";
+const DEFAULT_SIGNAL_PORT = 8787;
+// Devices on the same network connect directly. Playing across networks
+// needs a STUN/TURN server here.
+const ROOM_ICE_SERVERS = [];
+
+function getSignalUrl() {
+  return (
+    localStorage.getItem("signal_url") ||
+    `ws://${window.location.hostname || "localhost"}:${DEFAULT_SIGNAL_PORT}`
+  );
+}
+
+function createWebSocketSignalling(url) {
+  let socket = null;
+  return {
+    connect(room, peerId, role, onMessage) {
+      return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        let opened = false;
+        socket = ws;
+        ws.addEventListener("open", () => {
+          opened = true;
+          ws.send(JSON.stringify({ type: "join", room, peerId, role }));
+          resolve();
+        });
+        ws.addEventListener("error", () =>
+          reject(new Error(`Can't reach signalling server ${url}`)),
+        );
+        ws.addEventListener("message", (e) => {
+          let message;
+          try {
+            message = JSON.parse(e.data);
+          } catch (err) {
+            return;
+          }
+          onMessage(message);
+        });
+        // Closing it ourselves (close() below) isn't news
+        ws.addEventListener("close", () => {
+          if (socket !== ws || !opened) return;
+          socket = null;
+          onMessage({ type: "closed" });
+        });
+      });
+    },
+
+    send(message) {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+
+    close() {
+      const ws = socket;
+      socket = null;
+      if (ws) ws.close();
+    },
+  };
+}
+
+const Room = {
+  code: null,
+  peerId: null,
+  role: null, // 'host' | 'viewer' | 'guesser'
+  signalling: null,
+  handlers: {}, // { onOpen(peer), onMessage(peer, message), onPeerLeft(peer), onStatus(status) }
+  peers: new Map(), // peerId -> { peerId, connection, channel, name, role }
+  signalQueue: Promise.resolve(),
+
+  get isHost() {
+    return this.role === "host";
+  },
+
+  async host(signalling, handlers) {
+    this.start(signalling, handlers, "host");
+    this.code = Math.random().toString(36).slice(2, 6).toUpperCase();
+    this.peerId = HOST_PEER_ID;
+    await this.connect();
+  },
+
+  async join(code, signalling, role, handlers) {
+    this.start(signalling, handlers, role);
+    this.code = code;
+    this.peerId = StorageManager.newId();
+    await this.connect();
+  },
+
+  start(signalling, handlers, role) {
+    this.leave();
+    this.signalling = signalling;
+    this.handlers = handlers;
+    this.role = role;
+  },
+
+  async connect() {
+    try {
+      await this.signalling.connect(
+        this.code,
+        this.peerId,
+        this.isHost ? "host" : "peer",
+        (message) => this.queueSignal(message),
+      );
+    } catch (err) {
+      this.leave();
+      throw err;
+    }
+  },
+
+  leave() {
+    Array.from(this.peers.keys()).forEach((peerId) => this.removePeer(peerId));
+    if (this.signalling) this.signalling.close();
+    this.signalling = null;
+    this.code = null;
+    this.role = null;
+  },
+
+  // Host: send to every peer whose channel is open
+  broadcast(message) {
+    if (!this.isHost) return;
+    this.peers.forEach((peer) => this.send(peer, message));
+  },
+
+  send(peer, message) {
+    if (peer.channel && peer.channel.readyState === "open") {
+      peer.channel.send(JSON.stringify(message));
+    }
+  },
+
+  sendToHost(message) {
+    const host = this.peers.get(HOST_PEER_ID);
+    if (host) this.send(host, message);
+  },
+
+  // Descriptions and candidates have to be applied in the order they came
+  queueSignal(message) {
+    this.signalQueue = this.signalQueue
+      .then(() => this.handleSignal(message))
+      .catch((err) => console.warn("Room signalling failed", err));
+  },
+
+  async handleSignal(message) {
+    if (message.type === "peers" || message.type === "peer-joined") {
+      const peers = message.type === "peers" ? message.peers : [message];
+      if (this.isHost) {
+        // The host makes the offers, to everyone already waiting too
+        for (const peer of peers) await this.offer(peer.peerId);
+      } else if (peers.some((peer) => peer.role === "host")) {
+        this.handlers.onStatus?.("connecting");
+      } else if (message.type === "peers") {
+        this.handlers.onStatus?.("waiting");
+      }
+    } else if (message.type === "peer-left") {
+      this.removePeer(message.peerId);
+    } else if (message.type === "signal") {
+      await this.handleRemoteSignal(message.from, message.data);
+    } else if (message.type === "error") {
+      this.handlers.onStatus?.(message.reason);
+    } else if (message.type === "closed") {
+      this.leave();
+      this.handlers.onStatus?.("closed");
+    }
+  },
+
+  async handleRemoteSignal(from, data) {
+    let peer = this.peers.get(from);
+    if (!peer) {
+      // Only the host starts connections
+      if (this.isHost || from !== HOST_PEER_ID) return;
+      peer = this.addPeer(from);
+    }
+    const { connection } = peer;
+    if (data.description) {
+      await connection.setRemoteDescription(data.description);
+      if (data.description.type === "offer") {
+        await connection.setLocalDescription();
+        this.signalling.send({
+          type: "signal",
+          to: from,
+          data: { description: connection.localDescription },
+        });
+      }
+    } else if (data.candidate) {
+      await connection.addIceCandidate(data.candidate);
+    }
+  },
+
+  addPeer(peerId) {
+    const connection = new RTCPeerConnection({ iceServers: ROOM_ICE_SERVERS });
+    const peer = { peerId, connection, channel: null, name: "", role: "" };
+    connection.addEventListener("icecandidate", (e) => {
+      if (e.candidate && this.signalling) {
+        this.signalling.send({
+          type: "signal",
+          to: peerId,
+          data: { candidate: e.candidate },
+        });
+      }
+    });
+    connection.addEventListener("connectionstatechange", () => {
+      if (connection.connectionState === "failed") this.removePeer(peerId);
+    });
+    connection.addEventListener("datachannel", (e) =>
+      this.setupChannel(peer, e.channel),
+    );
+    this.peers.set(peerId, peer);
+    return peer;
+  },
+
+  async offer(peerId) {
+    const peer = this.addPeer(peerId);
+    this.setupChannel(peer, peer.connection.createDataChannel("game"));
+    await peer.connection.setLocalDescription();
+    this.signalling.send({
+      type: "signal",
+      to: peerId,
+      data: { description: peer.connection.localDescription },
+    });
+  },
+
+  setupChannel(peer, channel) {
+    peer.channel = channel;
+    channel.addEventListener("open", () => this.handlers.onOpen?.(peer));
+    channel.addEventListener("message", (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      this.handlers.onMessage?.(peer, message);
+    });
+    channel.addEventListener("close", () => this.removePeer(peer.peerId));
+  },
+
+  removePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+    this.peers.delete(peerId);
+    peer.connection.close();
+    this.handlers.onPeerLeft?.(peer);
+  },
+};
+
+// Host side
+function openRoomDialog() {
+  dom.signalUrl.value = getSignalUrl();
+  renderRoom();
+  dom.roomDialog.showModal();
+}
+
+function renderRoom() {
+  const hosting = Room.isHost;
+  dom.signalUrl.disabled = hosting;
+  dom.roomInfo.hidden = !hosting;
+  dom.roomCopyBtn.hidden = !hosting;
+  dom.roomToggleBtn.textContent = hosting ? "關閉房間" : "建立房間";
+  dom.roomBtn.classList.toggle("active", hosting);
+  if (!hosting) return;
+
+  dom.roomCode.textContent = Room.code;
+  dom.roomLink.value = getRoomLink();
+  const peers = Array.from(Room.peers.values()).filter((p) => p.name);
+  dom.roomPeers.innerHTML =
+    peers.length === 0
+      ? `<li class="room-empty">還沒有人加入</li>`
+      : peers
+          .map(
+            (p) =>
+              `<li>${escapeHtml(p.name)}<span>${p.role === "guesser" ? "猜題" : "觀看"}</span></li>`,
+          )
+          .join("");
+}
+
+function getRoomLink() {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("view", "audience");
+  url.searchParams.set("room", Room.code);
+  url.searchParams.set("signal", getSignalUrl());
+  return url.href;
+}
+
+async function toggleRoom() {
+  if (Room.isHost) {
+    Room.leave();
+    renderRoom();
+    return;
   }
-  updateCardUI();
+
+  const signalUrl = dom.signalUrl.value.trim();
+  if (signalUrl) localStorage.setItem("signal_url", signalUrl);
+  else localStorage.removeItem("signal_url");
+  try {
+    await Room.host(createWebSocketSignalling(getSignalUrl()), {
+      onMessage: handleRoomMessage,
+      onPeerLeft: renderRoom,
+      onStatus: (status) => {
+        if (status === "room-taken") {
+          Room.leave();
+          renderRoom();
+          alert("房號剛好被使用了，請再建立一次。");
+        } else if (status === "closed") {
+          renderRoom();
+          alert("與信令伺服器的連線中斷，房間已關閉。");
+        }
+      },
+    });
+  } catch (err) {
+    console.warn("Failed to open room", err);
+    alert("無法連線到信令伺服器，請確認網址與伺服器已啟動。");
+  }
+  renderRoom();
 }
 
-function prevQuestion() {
-  if (state.game.currentIndex > 0) {
-    state.game.currentIndex--;
-    updateCardUI();
+async function copyRoomLink() {
+  try {
+    await navigator.clipboard.writeText(dom.roomLink.value);
+    alert("已複製邀請連結。");
+  } catch (err) {
+    dom.roomLink.select();
+  }
+}
+
+function handleRoomMessage(peer, message) {
+  if (message.type === "hello") {
+    peer.name = String(message.name || "").slice(0, 20) || "訪客";
+    peer.role = message.role === "guesser" ? "guesser" : "viewer";
+    Room.send(peer, getGameSnapshot());
+    renderRoom();
+  } else if (message.type === "guess") {
+    handleRoomGuess(peer, String(message.text || ""));
+  }
+}
+
+// Guessers only learn whether they got it, never the word itself
+function handleRoomGuess(peer, text) {
+  const guess = text.trim().slice(0, 40);
+  if (peer.role !== "guesser" || !guess || !state.game.active) return;
+  const normalize = (str) => str.replace(/\s+/g, "").toLowerCase();
+  const word = state.game.playlist[state.game.currentIndex];
+  const correct = normalize(guess) === normalize(word.term);
+  Room.send(peer, { type: "guess-result", text: guess, correct });
+  showRoomGuess(peer.name, guess, correct);
+}
+
+const GUESS_FEED_SIZE = 3;
+
+// The host still marks the card; a matching guess is just highlighted
+function showRoomGuess(name, guess, correct) {
+  const item = document.createElement("li");
+  item.classList.toggle("correct", correct);
+  item.innerHTML = `<strong>${escapeHtml(name)}</strong> ${escapeHtml(guess)}`;
+  dom.guessFeed.prepend(item);
+  while (dom.guessFeed.children.length > GUESS_FEED_SIZE) {
+    dom.guessFeed.lastElementChild.remove();
   }
+  dom.guessFeed.hidden = false;
+}
+
+function clearRoomGuesses() {
+  dom.guessFeed.innerHTML = "";
+  dom.guessFeed.hidden = true;
+}
+
+// Guest side: opened from an invite link (?view=audience&room=...)
+function startRoomGuestView() {
+  document.title = `多人房間 · ${document.title}`;
+  dom.audienceStatus.textContent = "加入房間";
+  dom.roomName.value = localStorage.getItem("room_name") || "";
+  dom.roomJoinForm.hidden = false;
+
+  dom.roomRoleBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      dom.roomRoleBtns.forEach((b) => b.classList.toggle("active", b === btn));
+    });
+  });
+  dom.roomJoinForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    joinRoom();
+  });
+  dom.guessForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = dom.guessInput.value.trim();
+    if (!text) return;
+    Room.sendToHost({ type: "guess", text });
+    dom.guessInput.value = "";
+  });
 }
 
-function getRandomWord() {
-  const pool = Array.from(state.selectedIndices);
-  let available = pool;
-  if (state.game.history.length > 0 && pool.length > 1) {
-    const current = state.game.history[state.game.currentIndex].term;
-    available = pool.filter(
-      (idx) => state.activeBook.words[idx].term !== current,
+async function joinRoom() {
+  const params = new URLSearchParams(window.location.search);
+  const name = dom.roomName.value.trim();
+  const role =
+    Array.from(dom.roomRoleBtns).find((b) => b.classList.contains("active"))
+      ?.dataset.role || "viewer";
+  localStorage.setItem("room_name", name);
+
+  dom.roomJoinForm.hidden = true;
+  dom.audienceStatus.textContent = "連線中…";
+  try {
+    await Room.join(
+      params.get("room").toUpperCase(),
+      createWebSocketSignalling(params.get("signal") || getSignalUrl()),
+      role,
+      {
+        onOpen: (host) => Room.send(host, { type: "hello", name, role }),
+        onMessage: (host, message) => {
+          if (message.type === "state") {
+            renderAudience(message);
+          } else if (message.type === "guess-result") {
+            dom.guessFeedback.textContent = message.correct
+              ? `「${message.text}」猜對了！`
+              : `「${message.text}」不對，再試試`;
+            dom.guessFeedback.classList.toggle("correct", message.correct);
+          }
+        },
+        onPeerLeft: (peer) => {
+          if (peer.peerId !== HOST_PEER_ID) return;
+          renderAudience({ type: "state", screen: "idle" });
+          dom.audienceStatus.textContent = "主持人已離開房間";
+        },
+        onStatus: (status) => {
+          if (status === "waiting") {
+            dom.audienceStatus.textContent = "等待主持人開啟房間…";
+          } else if (status === "closed") {
+            dom.audienceStatus.textContent = "與房間的連線中斷";
+            dom.roomJoinForm.hidden = false;
+          }
+        },
+      },
     );
+  } catch (err) {
+    console.warn("Failed to join room", err);
+    dom.audienceStatus.textContent = "無法連線到房間";
+    dom.roomJoinForm.hidden = false;
+  }
+}
+
+// --- Controls (Keyboard, presentation clickers and gamepads) ---
+const GAME_ACTIONS = {
+  correct: "答對",
+  pass: "跳過",
+  buzz: "犯規（說出禁語）",
+  prev: "上一題",
+  next: "下一題（已看過的）",
+  hint: "顯示提示",
+  zhuyin: "切換注音",
+  exit: "離開遊戲",
+  finish: "結束遊戲並看結果",
+};
+
+// KeyboardEvent.code values, so letters still work while a zhuyin IME is on.
+// Clickers send PageDown/PageUp for their forward/back buttons.
+const DEFAULT_KEY_MAP = {
+  correct: ["ArrowRight", "PageDown", "Space", "Enter"],
+  pass: ["ArrowUp", "KeyP"],
+  buzz: ["KeyB"],
+  prev: ["ArrowLeft", "PageUp"],
+  next: ["ArrowDown"],
+  hint: ["KeyH"],
+  zhuyin: ["KeyZ"],
+  exit: ["Escape"],
+  finish: ["KeyF"],
+};
+
+// Standard gamepad layout: A/B/X/Y, bumpers, triggers, Back/Start and the
+// d-pad
+const GAMEPAD_MAP = {
+  0: "correct",
+  1: "pass",
+  2: "hint",
+  3: "zhuyin",
+  4: "prev",
+  5: "next",
+  7: "buzz",
+  8: "exit",
+  9: "finish",
+  12: "pass",
+  13: "next",
+  14: "prev",
+  15: "correct",
+};
+
+function loadKeyMap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("key_map")) || {};
+    // Actions added after the map was saved get their default keys
+    return { ...structuredClone(DEFAULT_KEY_MAP), ...saved };
+  } catch (e) {
+    return structuredClone(DEFAULT_KEY_MAP);
+  }
+}
+
+function saveKeyMap() {
+  localStorage.setItem("key_map", JSON.stringify(state.keyMap));
+}
+
+function runGameAction(action) {
+  if (!state.game.active) return;
+  if (action === "correct") {
+    animateSwipeAndAction("right", () => markCard("correct"));
+  } else if (action === "pass") {
+    animateSwipeAndAction("up", () => markCard("skipped"));
+  } else if (action === "buzz") {
+    if (state.game.taboo)
+      animateSwipeAndAction("down", () => markCard("buzzed"));
+  } else if (action === "prev") {
+    if (state.game.currentIndex > 0) {
+      animateSwipeAndAction("left", prevQuestion);
+    }
+  } else if (action === "next") {
+    // Only back through cards already seen; new ones have to be marked
+    if (state.game.currentIndex < state.game.shown - 1) nextQuestion();
+  } else if (action === "hint") {
+    if (!dom.hintArea.hidden) dom.hintArea.classList.add("revealed");
+  } else if (action === "zhuyin") {
+    if (!dom.zhuyinToggle.hidden) dom.zhuyinToggle.click();
+  } else if (action === "exit") {
+    exitGame();
+  } else if (action === "finish") {
+    finishGameEarly();
   }
-  const idx = available[Math.floor(Math.random() * available.length)];
-  return state.activeBook.words[idx];
+}
+
+function handleGameKey(e) {
+  if (!state.game.active || e.repeat || e.isComposing) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  // Typing in a field or using a dialog (e.g. the room dialog) isn't playing
+  if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+  if (document.querySelector("dialog[open]")) return;
+  const action = Object.keys(state.keyMap).find((a) =>
+    state.keyMap[a].includes(e.code),
+  );
+  if (!action) return;
+  // Space/Enter would also press whichever button has focus
+  e.preventDefault();
+  runGameAction(action);
+}
+
+// Gamepads have no button events, so poll while one is connected
+let gamepadPolling = false;
+const gamepadPressed = {}; // "<pad>:<button>" -> pressed on the last frame
+
+function pollGamepads() {
+  if (gamepadPolling) return;
+  gamepadPolling = true;
+
+  const poll = () => {
+    const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+    if (pads.length === 0) {
+      gamepadPolling = false;
+      return;
+    }
+    pads.forEach((pad) => {
+      pad.buttons.forEach((button, i) => {
+        const key = `${pad.index}:${i}`;
+        // Act on the press, not while it's held
+        if (button.pressed && !gamepadPressed[key] && GAMEPAD_MAP[i]) {
+          runGameAction(GAMEPAD_MAP[i]);
+        }
+        gamepadPressed[key] = button.pressed;
+      });
+    });
+    requestAnimationFrame(poll);
+  };
+  requestAnimationFrame(poll);
+}
+
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Space: "空白鍵",
+  Enter: "Enter",
+  Escape: "Esc",
+  PageUp: "PageUp",
+  PageDown: "PageDown",
+};
+
+function formatKey(code) {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  return code.replace(/^(Key|Digit)/, "");
+}
+
+function openControlsDialog() {
+  renderKeyMap();
+  dom.controlsDialog.showModal();
+}
+
+function renderKeyMap() {
+  dom.keyMapList.innerHTML = "";
+  Object.entries(GAME_ACTIONS).forEach(([action, label]) => {
+    const row = document.createElement("div");
+    row.className = "key-map-row";
+    row.innerHTML = `
+            <span class="key-map-label">${label}</span>
+            <div class="key-chips">
+                ${state.keyMap[action]
+                  .map(
+                    (code) => `
+                <button type="button" class="key-chip" data-code="${escapeHtml(code)}" aria-label="移除 ${escapeHtml(formatKey(code))}">
+                    <kbd>${escapeHtml(formatKey(code))}</kbd>
+                    <span class="material-symbols-rounded">close</span>
+                </button>`,
+                  )
+                  .join("")}
+            </div>
+            <button type="button" class="text-btn key-add-btn">新增</button>
+        `;
+    row.querySelectorAll(".key-chip").forEach((chip) => {
+      chip.addEventListener("click", () => {
+        state.keyMap[action] = state.keyMap[action].filter(
+          (c) => c !== chip.dataset.code,
+        );
+        saveKeyMap();
+        renderKeyMap();
+      });
+    });
+    row
+      .querySelector(".key-add-btn")
+      .addEventListener("click", (e) => captureKey(action, e.currentTarget));
+    dom.keyMapList.appendChild(row);
+  });
+}
+
+// Waits for the next key press and binds it to `action`. Escape cancels.
+let keyCapture = null;
+
+function captureKey(action, button) {
+  cancelKeyCapture();
+  button.textContent = "請按鍵…";
+  keyCapture = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const code = e.code;
+    cancelKeyCapture();
+    if (code === "Escape" || !code) {
+      renderKeyMap();
+      return;
+    }
+    // A key does one thing: take it away from any other action
+    Object.keys(state.keyMap).forEach((a) => {
+      state.keyMap[a] = state.keyMap[a].filter((c) => c !== code);
+    });
+    state.keyMap[action].push(code);
+    saveKeyMap();
+    renderKeyMap();
+  };
+  window.addEventListener("keydown", keyCapture, true);
+}
+
+function cancelKeyCapture() {
+  if (!keyCapture) return;
+  window.removeEventListener("keydown", keyCapture, true);
+  keyCapture = null;
+}
+
+// --- Tilt Controls ("Heads up": phone on the forehead, in landscape) ---
+const TILT_THRESHOLD_DEG = 30; // Tilt past this from the calibrated position
+const TILT_NEUTRAL_DEG = 12; // and come back within this before the next one
+const TILT_COOLDOWN_MS = 800;
+const TILT_CALIBRATION_MS = 2000;
+
+const TiltControl = {
+  listening: false,
+  calibrating: false,
+  samples: [], // Pitch readings taken while calibrating
+  baseline: null, // Neutral pitch in degrees
+  armed: false, // Back in the neutral zone since the last answer
+  lastActionAt: 0,
+  calibrationTimer: null,
+  noticeTimer: null,
+
+  // Runs from the click that starts the game: iOS only asks for sensor
+  // permission, and browsers only allow full screen, in a user gesture
+  async start() {
+    if (!("DeviceOrientationEvent" in window)) {
+      this.fallback();
+      return;
+    }
+    if (typeof DeviceOrientationEvent.requestPermission === "function") {
+      try {
+        const permission = await DeviceOrientationEvent.requestPermission();
+        if (permission !== "granted") throw new Error(permission);
+      } catch (err) {
+        console.warn("No permission for device orientation", err);
+        this.fallback();
+        return;
+      }
+    }
+    enterLandscapeFullscreen();
+
+    if (!this.listening) {
+      window.addEventListener("deviceorientation", this.onOrientation);
+      this.listening = true;
+    }
+    dom.screens.game.classList.add("tilt-mode");
+    this.calibrate();
+  },
+
+  stop() {
+    if (this.listening) {
+      window.removeEventListener("deviceorientation", this.onOrientation);
+      this.listening = false;
+    }
+    clearTimeout(this.calibrationTimer);
+    clearTimeout(this.noticeTimer);
+    this.calibrating = false;
+    this.baseline = null;
+    dom.screens.game.classList.remove("tilt-mode");
+    dom.tiltOverlay.hidden = true;
+    exitFullscreen();
+  },
+
+  // Average the pitch while the phone rests on the forehead
+  calibrate() {
+    if (!this.listening) return;
+    clearTimeout(this.calibrationTimer);
+    this.calibrating = true;
+    this.samples = [];
+    this.baseline = null;
+    this.showNotice("把手機橫放在額頭上，螢幕朝外，保持不動…");
+
+    this.calibrationTimer = setTimeout(() => {
+      this.calibrating = false;
+      // No readings at all: a laptop, or a phone without the sensor
+      if (this.samples.length === 0) {
+        this.stop();
+        this.fallback();
+        return;
+      }
+      // The first readings are the phone still being raised
+      const settled = this.samples.slice(Math.floor(this.samples.length / 2));
+      this.baseline = settled.reduce((sum, p) => sum + p, 0) / settled.length;
+      this.armed = true;
+      this.showNotice("往下點頭：答對　往上仰：跳過", 1500);
+    }, TILT_CALIBRATION_MS);
+  },
+
+  onOrientation(e) {
+    const self = TiltControl;
+    if (e.beta === null || e.gamma === null) return;
+
+    // How far the screen faces the sky (+) or the floor (-), from the
+    // gravity direction. Unlike gamma alone this doesn't jump when the
+    // phone passes upright.
+    const rad = Math.PI / 180;
+    const pitch =
+      Math.asin(Math.cos(e.beta * rad) * Math.cos(e.gamma * rad)) / rad;
+
+    if (self.calibrating) {
+      self.samples.push(pitch);
+      return;
+    }
+    if (self.baseline === null || !state.game.active) return;
+
+    const delta = pitch - self.baseline;
+    if (Math.abs(delta) < TILT_NEUTRAL_DEG) {
+      self.armed = true;
+      return;
+    }
+    if (!self.armed || Date.now() - self.lastActionAt < TILT_COOLDOWN_MS) {
+      return;
+    }
+    if (Math.abs(delta) < TILT_THRESHOLD_DEG) return;
+
+    self.armed = false;
+    self.lastActionAt = Date.now();
+    if (navigator.vibrate) navigator.vibrate(50);
+    runGameAction(delta < 0 ? "correct" : "pass");
+  },
+
+  // Swiping and the buttons keep working; just say why tilting doesn't
+  fallback() {
+    this.showNotice("偵測不到手機傾斜，請用滑動或按鈕作答", 2500);
+  },
+
+  showNotice(text, duration = 0) {
+    clearTimeout(this.noticeTimer);
+    dom.tiltOverlayText.textContent = text;
+    dom.tiltOverlay.hidden = false;
+    if (duration > 0) {
+      this.noticeTimer = setTimeout(() => {
+        dom.tiltOverlay.hidden = true;
+      }, duration);
+    }
+  },
+};
+
+function enterLandscapeFullscreen() {
+  const root = document.documentElement;
+  if (document.fullscreenElement || !root.requestFullscreen) return;
+  root
+    .requestFullscreen()
+    .then(() => screen.orientation?.lock?.("landscape"))
+    .catch((err) => console.warn("Full screen not available", err));
+}
+
+function exitFullscreen() {
+  screen.orientation?.unlock?.();
+  if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+}
+
+// --- Screen Wake Lock (Keep the screen on while a game is running) ---
+const ScreenWakeLock = {
+  sentinel: null,
+
+  async acquire() {
+    if (!("wakeLock" in navigator) || this.sentinel) return;
+    try {
+      this.sentinel = await navigator.wakeLock.request("screen");
+      this.sentinel.addEventListener("release", () => {
+        this.sentinel = null;
+      });
+      // The game may have ended while we waited
+      if (!state.game.active) this.release();
+    } catch (err) {
+      console.warn("Screen wake lock not available", err);
+    }
+  },
+
+  release() {
+    if (this.sentinel) this.sentinel.release();
+    this.sentinel = null;
+  },
+};
+
+// --- Card Media (Images and audio clips on cards) ---
+const MEDIA_CACHE = "guess-game-media"; // Also served from by sw.js
+const PRELOAD_AHEAD = 3; // Upcoming cards whose media loads in the background
+
+const CardMedia = {
+  loaded: new Map(), // URL -> Image/Audio element, kept so it stays decoded
+  playing: null,
+
+  get(url, type) {
+    if (!this.loaded.has(url)) {
+      const el = type === "audio" ? new Audio() : new Image();
+      if (type === "audio") el.preload = "auto";
+      el.src = url;
+      this.loaded.set(url, el);
+    }
+    return this.loaded.get(url);
+  },
+
+  preload(word) {
+    if (word.image) this.get(word.image, "image");
+    if (word.audio) this.get(word.audio, "audio");
+  },
+
+  // Deck mode knows the whole playlist; endless modes only draw the next card
+  // when it's needed, and rely on cacheBook() instead
+  preloadUpcoming() {
+    const { playlist, currentIndex } = state.game;
+    playlist
+      .slice(currentIndex + 1, currentIndex + 1 + PRELOAD_AHEAD)
+      .forEach((word) => this.preload(word));
+  },
+
+  play(word) {
+    if (!word || !word.audio) return;
+    this.stop();
+    const audio = this.get(word.audio, "audio");
+    audio.currentTime = 0;
+    this.playing = audio;
+    audio.play().catch((err) => console.warn("Audio playback failed", err));
+  },
+
+  stop() {
+    if (this.playing) this.playing.pause();
+    this.playing = null;
+  },
+
+  // Store every linked image and clip of a book in the media cache, where
+  // the service worker finds them when offline. Data URIs already live in
+  // the book itself. Only hosts that send CORS headers get cached: Chrome
+  // counts each opaque response as several MB against the storage quota.
+  async cacheBook(words) {
+    if (!("caches" in window)) return;
+    const urls = new Set();
+    words.forEach((w) => {
+      [w.image, w.audio].forEach((src) => {
+        if (!src || src.startsWith("data:")) return;
+        try {
+          urls.add(new URL(src, location.href).href);
+        } catch (err) {
+          // The card shows its placeholder; the rest still get cached
+          console.warn("Skipping invalid media URL", src);
+        }
+      });
+    });
+    if (urls.size === 0) return;
+
+    try {
+      const cache = await caches.open(MEDIA_CACHE);
+      for (const url of urls) {
+        if (await cache.match(url)) continue;
+        const response = await fetch(url).catch(() => null);
+        if (response?.ok) await cache.put(url, response);
+      }
+    } catch (err) {
+      console.warn("Caching card media failed", err);
+    }
+  },
+};
+
+// --- Speech (Reading terms aloud with the Web Speech API) ---
+const DEFAULT_SPEECH_LANG = document.documentElement.lang || "zh-TW";
+
+// Language, voice and rate are chosen per book, since books can be in
+// different languages
+const Speech = {
+  supported: "speechSynthesis" in window,
+
+  getStorageKey(bookId) {
+    return `guess_game_speech_${bookId}`;
+  },
+
+  // Returns { lang, voice, rate }; voice is a voiceURI, "" for the default
+  load(bookId) {
+    let saved = {};
+    try {
+      saved =
+        JSON.parse(localStorage.getItem(this.getStorageKey(bookId))) || {};
+    } catch (e) {
+      // Fall back to the defaults
+    }
+    return { lang: DEFAULT_SPEECH_LANG, voice: "", rate: 1, ...saved };
+  },
+
+  save(bookId, settings) {
+    localStorage.setItem(this.getStorageKey(bookId), JSON.stringify(settings));
+  },
+
+  clear(bookId) {
+    localStorage.removeItem(this.getStorageKey(bookId));
+  },
+
+  // Some platforms report "zh_TW" rather than "zh-TW"
+  normalizeLang(lang) {
+    return lang.replace(/_/g, "-").toLowerCase();
+  },
+
+  voicesFor(lang) {
+    return speechSynthesis
+      .getVoices()
+      .filter((v) => this.normalizeLang(v.lang) === this.normalizeLang(lang));
+  },
+
+  speak(text) {
+    if (!this.supported || !text) return;
+    const settings = this.load(state.activeBook.id);
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = settings.lang;
+    utterance.rate = settings.rate;
+    const voice = this.voicesFor(settings.lang).find(
+      (v) => v.voiceURI === settings.voice,
+    );
+    if (voice) utterance.voice = voice;
+    // Cut off whatever was still being read
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+  },
+
+  stop() {
+    if (this.supported) speechSynthesis.cancel();
+  },
+};
+
+function openSpeechDialog() {
+  renderSpeechSettings();
+  dom.speechDialog.showModal();
+}
+
+function renderSpeechSettings() {
+  const settings = Speech.load(state.activeBook.id);
+  const names = new Intl.DisplayNames(["zh-TW"], { type: "language" });
+  const describe = (lang) => {
+    try {
+      return `${names.of(lang.replace(/_/g, "-"))} (${lang})`;
+    } catch (e) {
+      return lang;
+    }
+  };
+
+  const langs = [settings.lang];
+  speechSynthesis.getVoices().forEach((v) => {
+    const known = langs.some(
+      (l) => Speech.normalizeLang(l) === Speech.normalizeLang(v.lang),
+    );
+    if (!known) langs.push(v.lang);
+  });
+  langs.sort((a, b) => a.localeCompare(b));
+  dom.speechLang.innerHTML = langs
+    .map(
+      (lang) =>
+        `<option value="${escapeHtml(lang)}">${escapeHtml(describe(lang))}</option>`,
+    )
+    .join("");
+  dom.speechLang.value = settings.lang;
+
+  dom.speechVoice.innerHTML = [
+    `<option value="">預設聲音</option>`,
+    ...Speech.voicesFor(settings.lang).map(
+      (v) =>
+        `<option value="${escapeHtml(v.voiceURI)}">${escapeHtml(v.name)}</option>`,
+    ),
+  ].join("");
+  // A saved voice that's missing on this device falls back to the default
+  dom.speechVoice.value = settings.voice;
+  if (dom.speechVoice.value !== settings.voice) dom.speechVoice.value = "";
+
+  dom.speechRate.value = settings.rate;
+  dom.speechRateValue.textContent = `${settings.rate}×`;
+}
+
+function saveSpeechSettings(change) {
+  const bookId = state.activeBook.id;
+  Speech.save(bookId, { ...Speech.load(bookId), ...change });
+}
+
+// --- Sound ---
+let audioCtx = null;
+
+// Browsers only allow audio after a user gesture, so create it on game start
+function unlockAudio() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  if (!audioCtx) audioCtx = new AudioContext();
+  if (audioCtx.state === "suspended") audioCtx.resume();
+}
+
+function playBeep(frequency, duration) {
+  if (!audioCtx) return;
+  const osc = audioCtx.createOscillator();
+  const gain = audioCtx.createGain();
+  osc.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.2, audioCtx.currentTime);
+  gain.gain.exponentialRampToValueAtTime(
+    0.001,
+    audioCtx.currentTime + duration,
+  );
+  osc.connect(gain).connect(audioCtx.destination);
+  osc.start();
+  osc.stop(audioCtx.currentTime + duration);
 }
 
 function updateCardUI() {
-  const w = state.game.history[state.game.currentIndex];
-  dom.wordDisplay.textContent = w.term;
+  const w = state.game.playlist[state.game.currentIndex];
+  if (state.game.showZhuyin && w.zhuyin) {
+    dom.wordDisplay.innerHTML = buildRuby(w.term, w.zhuyin);
+  } else {
+    dom.wordDisplay.textContent = w.term;
+  }
   dom.curIndexEl.textContent = state.game.currentIndex + 1;
+
+  // Picture and sound, if the word has them; the next cards load meanwhile
+  dom.cardImage.hidden = !w.image;
+  if (w.image) dom.cardImage.src = w.image;
+  else dom.cardImage.removeAttribute("src");
+  dom.cardAudioBtn.hidden = !w.audio;
+  dom.speakBtn.hidden = !Speech.supported;
+  CardMedia.preloadUpcoming();
+
+  dom.totalCountEl.textContent =
+    state.game.drawMode === "deck" ? state.game.playlist.length : "∞";
+
+  // Taboo: words the clue-giver must not say
+  const forbidden = state.game.taboo ? splitForbidden(w.forbidden) : [];
+  dom.forbiddenList.hidden = forbidden.length === 0;
+  dom.forbiddenList.innerHTML = forbidden
+    .map((f) => `<li>${escapeHtml(f)}</li>`)
+    .join("");
+  dom.buzzBtn.hidden = !state.game.taboo;
+
+  // Hints start hidden on every card
+  dom.hintArea.hidden = !w.hint;
+  dom.hintArea.classList.remove("revealed");
+  dom.hintText.textContent = w.hint || "";
+
+  // Only offer zhuyin when this game has some
+  dom.zhuyinToggle.hidden = !state.game.playlist.some((word) => word.zhuyin);
+  dom.zhuyinToggle.classList.toggle("active", state.game.showZhuyin);
+  dom.zhuyinToggle.setAttribute("aria-pressed", state.game.showZhuyin);
+
+  renderTeamBadge();
+  publishGameState();
+}
+
+// The forbidden-words cell is a list: "甜點、蛋糕" or "甜點, 蛋糕" etc.
+function splitForbidden(value) {
+  return String(value || "")
+    .split(/[、,，;；|/\n]/)
+    .map((f) => f.trim())
+    .filter(Boolean);
+}
+
+// Pair each Han character of the term with one space-separated zhuyin
+// syllable. Other characters (punctuation, Latin) get no annotation. If the
+// counts don't line up, the whole reading goes above the whole term.
+function buildRuby(term, zhuyin) {
+  const chars = Array.from(term);
+  const syllables = zhuyin.trim().split(/\s+/);
+  const isHan = (ch) => /\p{Script=Han}/u.test(ch);
+
+  if (chars.filter(isHan).length !== syllables.length) {
+    return `<ruby>${escapeHtml(term)}<rt>${escapeHtml(zhuyin)}</rt></ruby>`;
+  }
+
+  let next = 0;
+  return chars
+    .map((ch) =>
+      isHan(ch)
+        ? `<ruby>${escapeHtml(ch)}<rt>${escapeHtml(syllables[next++])}</rt></ruby>`
+        : escapeHtml(ch),
+    )
+    .join("");
+}
+
+// Fisher-Yates Shuffle
+function shuffle(array) {
+  let currentIndex = array.length,
+    randomIndex;
+
+  // While there remain elements to shuffle.
+  while (currentIndex != 0) {
+    // Pick a remaining element.
+    randomIndex = Math.floor(Math.random() * currentIndex);
+    currentIndex--;
+
+    // And swap it with the current element.
+    [array[currentIndex], array[randomIndex]] = [
+      array[randomIndex],
+      array[currentIndex],
+    ];
+  }
+
+  return array;
 }
 
 // Swipe Logic (Reused)
+// Right = guessed, up = pass, left = back to the previous card
 function initSwipeAttributes() {
   let startX = 0,
+    startY = 0,
     currentX = 0,
+    currentY = 0,
     isDragging = false;
   const threshold = 100;
 
@@ -447,23 +5113,33 @@ function initSwipeAttributes() {
     if (!state.game.active) return;
     isDragging = true;
     startX = e.touches ? e.touches[0].clientX : e.clientX;
+    startY = e.touches ? e.touches[0].clientY : e.clientY;
+    currentX = startX;
+    currentY = startY;
     dom.cardEl.style.transition = "none";
   };
 
   const onMove = (e) => {
     if (!isDragging) return;
     currentX = e.touches ? e.touches[0].clientX : e.clientX;
+    currentY = e.touches ? e.touches[0].clientY : e.clientY;
     const dx = currentX - startX;
-    dom.cardEl.style.transform = `translateX(${dx}px) rotate(${dx * 0.05}deg)`;
+    // Only follow the finger upwards; there's no downward gesture
+    const dy = Math.min(0, currentY - startY);
+    dom.cardEl.style.transform = `translate(${dx}px, ${dy}px) rotate(${dx * 0.05}deg)`;
   };
 
   const onEnd = () => {
     if (!isDragging) return;
     isDragging = false;
     const dx = currentX - startX;
-    if (Math.abs(dx) > threshold) {
-      if (dx > 0) animateSwipeAndAction("right", nextQuestion);
-      else {
+    const dy = currentY - startY;
+    if (-dy > threshold && -dy > Math.abs(dx)) {
+      animateSwipeAndAction("up", () => markCard("skipped"));
+    } else if (Math.abs(dx) > threshold) {
+      if (dx > 0) {
+        animateSwipeAndAction("right", () => markCard("correct"));
+      } else {
         if (state.game.currentIndex > 0)
           animateSwipeAndAction("left", prevQuestion);
         else resetCardPosition();
@@ -486,13 +5162,33 @@ function resetCardPosition() {
   dom.cardEl.style.transform = "translate(0,0) rotate(0)";
 }
 
+let swipeInProgress = false;
+
 function animateSwipeAndAction(direction, callback) {
+  // One card at a time, however fast the buttons or keys are pressed
+  if (swipeInProgress) return;
+  swipeInProgress = true;
+
+  const exits = {
+    right: "translateX(120%) rotate(20deg)",
+    left: "translateX(-120%) rotate(-20deg)",
+    up: "translateY(-120%)",
+    down: "translateY(120%)",
+  };
   dom.cardEl.style.transition = "transform 0.3s ease-in, opacity 0.3s ease-in";
-  dom.cardEl.style.transform = `translateX(${direction === "right" ? 120 : -120}%) rotate(${direction === "right" ? 20 : -20}deg)`;
+  dom.cardEl.style.transform = exits[direction];
   dom.cardEl.style.opacity = "0";
 
   setTimeout(() => {
-    callback();
+    swipeInProgress = false;
+    // Time may have run out mid-animation; the round result stands
+    if (state.game.active) callback();
+    // The callback may have ended the game and left the game screen
+    if (!state.game.active) {
+      dom.cardEl.style.transition = "none";
+      dom.cardEl.style.opacity = "1";
+      return;
+    }
     dom.cardEl.style.transition = "none";
     dom.cardEl.style.transform = "scale(0.8)";
     dom.cardEl.style.opacity = "0";
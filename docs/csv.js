@@ -0,0 +1,303 @@
+// Parsing books from CSV/TSV (Google Sheets exports) and the word ids that
+// keep track of them. No DOM access, so this also runs under Node for tests.
+
+// --- CSV Fetcher ---
+export const CSVFetcher = {
+  // Turn Google Sheets share/edit/pubhtml links into their CSV export URL.
+  // Any other URL is returned as-is.
+  normalizeUrl(url) {
+    const trimmed = url.trim();
+    let parsed;
+    try {
+      parsed = new URL(trimmed);
+    } catch (e) {
+      return trimmed;
+    }
+    if (parsed.hostname !== "docs.google.com") return trimmed;
+
+    // Published sheet: .../d/e/<key>/pubhtml -> .../d/e/<key>/pub?output=csv
+    const published = parsed.pathname.match(
+      /^\/spreadsheets\/d\/e\/([^/]+)\/pub(html)?/,
+    );
+    if (published) {
+      const gid = parsed.searchParams.get("gid");
+      return `https://docs.google.com/spreadsheets/d/e/${published[1]}/pub?output=csv${gid ? `&gid=${gid}` : ""}`;
+    }
+
+    // Regular sheet: .../d/<id>/edit#gid=0 -> .../d/<id>/export?format=csv&gid=0
+    const sheet = parsed.pathname.match(/^\/spreadsheets\/d\/([^/]+)/);
+    if (sheet) {
+      const gidMatch = (parsed.hash + parsed.search).match(/gid=(\d+)/);
+      return `https://docs.google.com/spreadsheets/d/${sheet[1]}/export?format=csv${gidMatch ? `&gid=${gidMatch[1]}` : ""}`;
+    }
+    return trimmed;
+  },
+
+  async fetch(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error("Network response was not ok");
+    const text = await response.text();
+    return this.parse(text);
+  },
+
+  // Recognised header names per word field (compared case-insensitively,
+  // ignoring spaces/underscores). Columns with any other header are kept on
+  // each word under their header text.
+  columnAliases: {
+    id: ["id", "編號"],
+    term: ["term", "word", "題目", "詞彙", "詞語", "content"],
+    zhuyin: ["zhuyin", "bopomofo", "注音"],
+    hint: ["hint", "clue", "提示"],
+    category: ["category", "group", "分類", "類別"],
+    difficulty: ["difficulty", "level", "難度"],
+    forbidden: ["forbidden", "taboo", "禁語", "禁用詞"],
+    image: ["image", "img", "圖片"],
+    audio: ["audio", "sound", "聲音", "音檔"],
+  },
+
+  // Inverse of parse(): title in A1, a header row, then one word per row
+  stringify(title, words, fields) {
+    const quote = (value) => {
+      const str = value == null ? "" : String(value);
+      return /[",\r\n]/.test(str) || str !== str.trim()
+        ? `"${str.replace(/"/g, '""')}"`
+        : str;
+    };
+    const rows = [
+      [title],
+      fields,
+      ...words.map((w) => fields.map((f) => w[f])),
+    ];
+    return rows.map((row) => row.map(quote).join(",")).join("\r\n") + "\r\n";
+  },
+
+  parse(csvText, delimiter = ",") {
+    const { rows, warnings } = this.splitRows(csvText, delimiter);
+    return this.parseRows(rows, warnings);
+  },
+
+  // Sheet layout:
+  //   Row 1 (optional): A1 holds the book title.
+  //   Next row (optional): header row naming the columns, in any order.
+  //   Remaining rows: one word per row.
+  // Without a header row, column A is the term and column B the zhuyin.
+  // For backwards compatibility the first row is never a word, even when
+  // it's neither a title nor a header.
+  // `rows` are { cells, line } as returned by splitRows(); file imports
+  // build the same shape so every source is validated the same way.
+  parseRows(rows, warnings = []) {
+    const data = [];
+    const metadata = {};
+
+    // Drop rows where every cell is blank (trailing empty lines, spacer rows)
+    const filled = rows.filter((row) => row.cells.some((c) => c !== ""));
+
+    let columns = this.mapHeader(filled[0]?.cells || [], true);
+    let start = 1;
+    if (!columns) {
+      const title = filled[0]?.cells[0];
+      if (title) metadata.title = title;
+      columns = this.mapHeader(filled[1]?.cells || [], false);
+      if (columns) start = 2;
+    }
+    if (!columns) columns = ["term", "zhuyin"];
+    // Older sheets only labelled column A; column B was always the zhuyin
+    if (!columns.includes("zhuyin") && !columns[1]) columns[1] = "zhuyin";
+    metadata.columns = columns.filter(Boolean);
+
+    filled.slice(start).forEach((row) => {
+      const word = { term: "", zhuyin: "" };
+      columns.forEach((key, i) => {
+        const value = row.cells[i] || "";
+        if (!key || value === "") return;
+        word[key] = key === "difficulty" ? this.parseDifficulty(value) : value;
+      });
+
+      if (!word.term) {
+        warnings.push({
+          line: row.line,
+          message: `第 ${row.line} 列缺少題目，已略過`,
+        });
+        return;
+      }
+
+      data.push(word);
+    });
+
+    warnings.sort((a, b) => a.line - b.line);
+    return { words: WordIds.assign(data), metadata, warnings };
+  },
+
+  // Returns the word field for each column, or null if the row isn't a
+  // header (it must name a term column). `loose` also accepts headers that
+  // merely contain "題目"/"content", matching what older sheets used in A1.
+  mapHeader(cells, loose) {
+    const normalize = (str) => str.toLowerCase().replace(/[\s_]/g, "");
+    const lookup = {};
+    Object.entries(this.columnAliases).forEach(([key, aliases]) => {
+      aliases.forEach((alias) => (lookup[normalize(alias)] = key));
+    });
+
+    const used = new Set();
+    const columns = cells.map((cell) => {
+      const name = normalize(cell);
+      if (!name) return null;
+      let key = lookup[name];
+      if (
+        !key &&
+        loose &&
+        !used.has("term") &&
+        (name.includes("題目") || name.includes("content"))
+      ) {
+        key = "term";
+      }
+      // Unknown or duplicate columns keep their original header text, made
+      // unique so they can't overwrite another column
+      if (!key || used.has(key)) {
+        key = cell;
+        for (let n = 2; used.has(key) || key in this.columnAliases; n++) {
+          key = `${cell} (${n})`;
+        }
+      }
+      used.add(key);
+      return key;
+    });
+
+    if (!used.has("term")) return null;
+    // Below a title row a single "word"-like cell could be a real card, so
+    // there we also require a second recognised column.
+    const known = columns.filter((k) => k in this.columnAliases).length;
+    return loose || known > 1 ? columns : null;
+  },
+
+  parseDifficulty(value) {
+    const num = Number(value);
+    return value !== "" && Number.isFinite(num) ? num : value;
+  },
+
+  // RFC 4180 tokenizer: quoted fields may contain commas, newlines and ""
+  // escapes. Unquoted fields and the space around quoted ones are trimmed.
+  // Returns rows as { cells, line } where line is the 1-based source line
+  // the row starts on. Pass "\t" as the delimiter for TSV.
+  splitRows(csvText, delimiter = ",") {
+    const text = csvText.replace(/^\uFEFF/, "");
+    const rows = [];
+    const warnings = [];
+
+    let cells = [];
+    let field = "";
+    let quoted = false; // Field started with a quote (don't trim its content)
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const warn = (lineNo, message) => {
+      const last = warnings[warnings.length - 1];
+      if (last && last.line === lineNo && last.message === message) return;
+      warnings.push({ line: lineNo, message });
+    };
+    const endField = () => {
+      cells.push(quoted ? field : field.trim());
+      field = "";
+      quoted = false;
+    };
+    const endRow = () => {
+      endField();
+      rows.push({ cells, line: rowLine });
+      cells = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          if (ch === "\n") line++;
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        if (field.trim() === "" && !quoted) {
+          // Opening quote; whitespace before it is ignored
+          field = "";
+          quoted = true;
+          inQuotes = true;
+        } else {
+          // Stray quote inside an unquoted field: keep it literally
+          if (quoted) warn(line, `第 ${line} 列的引號格式不正確`);
+          field += ch;
+        }
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === "\r" || ch === "\n") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else if (quoted) {
+        // Only whitespace is allowed between a closing quote and the delimiter
+        if (ch.trim() !== "") {
+          warn(line, `第 ${line} 列的引號格式不正確`);
+          field += ch;
+        }
+      } else {
+        field += ch;
+      }
+    }
+
+    if (inQuotes) warn(rowLine, `第 ${rowLine} 列的引號沒有結束`);
+    if (field !== "" || quoted || cells.length > 0) endRow();
+
+    return { rows, warnings };
+  },
+};
+
+// --- Word Ids (Stable identity for words across sheet edits) ---
+// Words keep the value of an id column when the sheet has one; otherwise the
+// id is a hash of the term, so inserting or reordering rows doesn't change
+// it. Progress and presets refer to words by id instead of array position.
+export const WordIds = {
+  // Gives every word without one an id, in place. Repeats get a ~2, ~3 suffix.
+  assign(words) {
+    const seen = new Map();
+    words.forEach((word) => {
+      const base =
+        word.id != null && word.id !== ""
+          ? String(word.id)
+          : `t${hashString(word.term)}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      word.id = count > 1 ? `${base}~${count}` : base;
+    });
+    return words;
+  },
+
+  // Map of id -> index into words
+  indexMap(words) {
+    return new Map(words.map((w, i) => [w.id, i]));
+  },
+
+  toIndices(words, ids) {
+    const map = this.indexMap(words);
+    return ids.map((id) => map.get(id)).filter((i) => i !== undefined);
+  },
+};
+
+// Short FNV-1a hash, base 36
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
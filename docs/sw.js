@@ -0,0 +1,190 @@
+// Service Worker: precaches the app shell so the game runs fully offline.
+// The shell is served from the cache, and checked against the server after
+// every page load; a deploy that changed any file replaces the whole set and
+// open pages get the "new version" prompt from app.js. CACHE_VERSION only
+// needs bumping when the caches below change shape.
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `guess-game-shell-${CACHE_VERSION}`;
+const FONT_CACHE = "guess-game-fonts";
+// Card images and audio; app.js fills it when a book is opened
+const MEDIA_CACHE = "guess-game-media";
+
+const SHELL_ASSETS = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./data.js",
+  "./csv.js",
+  "./style.css",
+  "./manifest.webmanifest",
+  "./fonts/fonts.css",
+  "./fonts/inter-latin-400-normal.woff2",
+  "./fonts/inter-latin-600-normal.woff2",
+  "./fonts/inter-latin-800-normal.woff2",
+  "./fonts/material-symbols-rounded-fill.woff2",
+  "./icons/icon.svg",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+];
+
+// Google Fonts (Noto Sans TC) is cached as it's used, not precached
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+  // Don't skipWaiting here: the page asks for it once the user agrees
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_ASSETS)),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key !== SHELL_CACHE &&
+                key !== FONT_CACHE &&
+                key !== MEDIA_CACHE,
+            )
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+
+  if (request.destination === "image" || request.destination === "audio") {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+    return;
+  }
+
+  // Everything else from another origin (CSV books) goes straight to the
+  // network; app.js keeps its own offline copy of those.
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches.match("./index.html").then((cached) => cached || fetch(request)),
+    );
+    event.waitUntil(checkShellForUpdate());
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request)),
+  );
+});
+
+let shellCheck = null; // Several tabs loading at once share one check
+
+function checkShellForUpdate() {
+  if (!shellCheck) {
+    shellCheck = updateShell().finally(() => (shellCheck = null));
+  }
+  return shellCheck;
+}
+
+// Each file is asked for with its cached copy's ETag / Last-Modified, so an
+// unchanged shell costs a round of empty 304s rather than a full download.
+// Changed files are only stored once every request is back, so a page never
+// mixes two deploys.
+async function updateShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  let updates;
+  try {
+    updates = await Promise.all(
+      SHELL_ASSETS.map((url) => fetchIfChanged(cache, url)),
+    );
+  } catch (err) {
+    return; // Offline, or in the middle of a deploy: try on the next load
+  }
+
+  const changed = updates.filter(Boolean);
+  if (changed.length === 0) return;
+
+  await Promise.all(
+    changed.map(({ url, response }) => cache.put(url, response)),
+  );
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage({ type: "SHELL_UPDATED" }));
+}
+
+// Resolves to null while the cached copy is still current
+async function fetchIfChanged(cache, url) {
+  const cached = await cache.match(url);
+  const headers = {};
+  const etag = cached?.headers.get("ETag");
+  const modified = cached?.headers.get("Last-Modified");
+  if (etag) headers["If-None-Match"] = etag;
+  if (modified) headers["If-Modified-Since"] = modified;
+
+  // no-store hands the server's 304 to us instead of the HTTP cache
+  const response = await fetch(url, { cache: "no-store", headers });
+  if (response.status === 304) return null;
+  if (!response.ok) throw new Error(`${url}: ${response.status}`);
+
+  // A server without validators sends the whole file every time
+  if (cached) {
+    const [a, b] = await Promise.all([
+      cached.arrayBuffer(),
+      response.clone().arrayBuffer(),
+    ]);
+    if (sameBytes(a, b)) return null;
+  }
+  return { url, response };
+}
+
+function sameBytes(a, b) {
+  if (a.byteLength !== b.byteLength) return false;
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  return x.every((byte, i) => byte === y[i]);
+}
+
+// Media doesn't change under the same URL, so a cached copy is always good.
+// The shell's own icons are found in the shell cache. Opaque responses
+// (hosts without CORS) aren't kept: Chrome pads each to several MB of quota.
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request.url);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Audio is streamed in ranges; only whole files are worth keeping
+  if (response.status === 200) {
+    const cache = await caches.open(cacheName);
+    cache.put(request.url, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      // Opaque (no-cors) font responses have status 0 but are still usable
+      if (response.ok || response.type === "opaque") {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
@@ -0,0 +1,239 @@
+// Tiny WebSocket signalling server for multiplayer rooms, for development
+// and tests. It only relays connection offers between the devices in a room
+// until their WebRTC data channels are up; no game data passes through it.
+//
+//   node signalling-server.mjs [port]      (default 8787)
+//
+// Then use ws://<this machine's address>:8787 as the signalling server in
+// the game's room dialog. No dependencies: it speaks just enough of the
+// WebSocket protocol (RFC 6455) for JSON text messages. Tests import
+// createSignallingServer() and listen on a port of their own; each server
+// has its own rooms.
+import http from "node:http";
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024; // Offers are a few KB, even in pieces
+
+const OPCODE = { continuation: 0, text: 1, close: 8, ping: 9, pong: 10 };
+
+// --- WebSocket framing ---
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull every complete frame off the client's buffer; a frame split across
+// TCP chunks waits for the rest
+function readFrames(client) {
+  while (client.buffer.length >= 2) {
+    const buf = client.buffer;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buf.length < 4) return;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      client.close();
+      return;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + length) return;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buf[maskOffset + (i % 4)];
+      }
+    }
+    client.buffer = buf.subarray(offset + length);
+
+    if (opcode === OPCODE.text || opcode === OPCODE.continuation) {
+      client.fragments.push(payload);
+      client.fragmentBytes += payload.length;
+      if (client.fragmentBytes > MAX_MESSAGE_BYTES) {
+        client.close();
+        return;
+      }
+      if (fin) {
+        const text = Buffer.concat(client.fragments).toString("utf8");
+        client.fragments = [];
+        client.fragmentBytes = 0;
+        handleText(client, text);
+      }
+    } else if (opcode === OPCODE.ping) {
+      client.socket.write(encodeFrame(OPCODE.pong, payload));
+    } else if (opcode === OPCODE.close) {
+      client.close();
+      return;
+    }
+  }
+}
+
+// --- Rooms ---
+function handleText(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (e) {
+    return;
+  }
+
+  if (message.type === "join" && !client.room) {
+    join(client, message);
+  } else if (message.type === "signal" && client.room) {
+    // Relay an offer, answer or ICE candidate to one peer in the same room
+    const target = client.hub.rooms.get(client.room)?.get(message.to);
+    if (target) {
+      target.send({ type: "signal", from: client.peerId, data: message.data });
+    }
+  }
+}
+
+function join(client, { room, peerId, role }) {
+  if (typeof room !== "string" || typeof peerId !== "string") return;
+  const { rooms, log } = client.hub;
+  const peers = rooms.get(room) || new Map();
+  const isHost = role === "host";
+  if (peers.has(peerId) || (isHost && hasHost(peers))) {
+    client.send({ type: "error", reason: "room-taken" });
+    client.close();
+    return;
+  }
+
+  client.room = room;
+  client.peerId = peerId;
+  client.role = isHost ? "host" : "peer";
+
+  // Tell the newcomer who's already here, and everyone else about them
+  client.send({
+    type: "peers",
+    peers: Array.from(peers.values()).map((p) => ({
+      peerId: p.peerId,
+      role: p.role,
+    })),
+  });
+  peers.forEach((p) =>
+    p.send({ type: "peer-joined", peerId, role: client.role }),
+  );
+  peers.set(peerId, client);
+  rooms.set(room, peers);
+  log(`${client.role} ${peerId} joined room ${room}`);
+}
+
+function leave(client) {
+  const { rooms, log } = client.hub;
+  const peers = rooms.get(client.room);
+  if (!peers || peers.get(client.peerId) !== client) return;
+  peers.delete(client.peerId);
+  if (peers.size === 0) rooms.delete(client.room);
+  peers.forEach((p) => p.send({ type: "peer-left", peerId: client.peerId }));
+  log(`${client.role} ${client.peerId} left room ${client.room}`);
+}
+
+function hasHost(peers) {
+  return Array.from(peers.values()).some((p) => p.role === "host");
+}
+
+// --- Server ---
+// `log` gets a line for every join and leave; quiet by default
+export function createSignallingServer({ log = () => {} } = {}) {
+  // rooms: room code -> Map(peerId -> client). Each room has at most one host.
+  const hub = { rooms: new Map(), log };
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Guess game signalling server: connect with a WebSocket.\n");
+  });
+  server.on("upgrade", (req, socket) => acceptClient(hub, req, socket));
+  return server;
+}
+
+function acceptClient(hub, req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  );
+
+  const client = {
+    hub,
+    socket,
+    buffer: Buffer.alloc(0),
+    fragments: [],
+    fragmentBytes: 0,
+    room: null,
+    peerId: null,
+    role: null,
+    closed: false,
+    send(message) {
+      if (this.closed) return;
+      socket.write(
+        encodeFrame(OPCODE.text, Buffer.from(JSON.stringify(message))),
+      );
+    },
+    close() {
+      if (this.closed) return;
+      this.closed = true;
+      socket.end(encodeFrame(OPCODE.close));
+      leave(this);
+    },
+  };
+
+  socket.on("data", (chunk) => {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    readFrames(client);
+  });
+  // Upgraded sockets are half-open: a client that drops without a close
+  // frame only ends its side
+  socket.on("end", () => client.close());
+  socket.on("close", () => {
+    client.closed = true;
+    leave(client);
+  });
+  socket.on("error", () => socket.destroy());
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const port = Number(process.argv[2] || process.env.PORT) || 8787;
+  createSignallingServer({ log: console.log }).listen(port, () => {
+    console.log(`Signalling server listening on ws://localhost:${port}`);
+  });
+}
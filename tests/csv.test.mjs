@@ -0,0 +1,163 @@
+// CSV parsing tests. Run with: node --test tests/
+// The fixtures follow Google Sheets' CSV export: CRLF line endings, every
+// row padded to the sheet's width, quotes only where a cell needs them.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { CSVFetcher } from "../csv.js";
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("splitRows keeps commas and newlines inside quoted cells", () => {
+  const { rows, warnings } = CSVFetcher.splitRows(
+    'a,"b, c","line 1\r\nline 2"\r\nd,e,f\r\n',
+  );
+  assert.deepEqual(rows, [
+    { cells: ["a", "b, c", "line 1\r\nline 2"], line: 1 },
+    { cells: ["d", "e", "f"], line: 3 },
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('splitRows unescapes "" inside quoted cells', () => {
+  const { rows } = CSVFetcher.splitRows('"他說""好吃""",""""\n');
+  assert.deepEqual(rows[0].cells, ['他說"好吃"', '"']);
+});
+
+test("splitRows strips a byte order mark", () => {
+  const { rows } = CSVFetcher.splitRows("\uFEFF題目,注音\n");
+  assert.deepEqual(rows[0].cells, ["題目", "注音"]);
+});
+
+test("splitRows trims unquoted cells but not quoted ones", () => {
+  const { rows } = CSVFetcher.splitRows('  a  ,  " b "  ,c \n');
+  assert.deepEqual(rows[0].cells, ["a", " b ", "c"]);
+});
+
+test("splitRows warns about an unterminated quote", () => {
+  const { rows, warnings } = CSVFetcher.splitRows('a,"b\nc\n');
+  assert.deepEqual(rows, [{ cells: ["a", "b\nc\n"], line: 1 }]);
+  assert.deepEqual(warnings, [{ line: 1, message: "第 1 列的引號沒有結束" }]);
+});
+
+test("splitRows warns about an unterminated quote at the end of the file", () => {
+  const { rows, warnings } = CSVFetcher.splitRows('a,"b');
+  assert.deepEqual(rows, [{ cells: ["a", "b"], line: 1 }]);
+  assert.deepEqual(warnings, [{ line: 1, message: "第 1 列的引號沒有結束" }]);
+});
+
+test("splitRows warns about text after a closing quote, once per line", () => {
+  const { rows, warnings } = CSVFetcher.splitRows('"a"x,"b"yz\nc\n');
+  assert.deepEqual(rows[0].cells, ["ax", "byz"]);
+  assert.deepEqual(warnings, [{ line: 1, message: "第 1 列的引號格式不正確" }]);
+});
+
+test("splitRows splits TSV on tabs", () => {
+  const { rows } = CSVFetcher.splitRows('a\tb c\t"d\te"\n', "\t");
+  assert.deepEqual(rows[0].cells, ["a", "b c", "d\te"]);
+});
+
+test("parse reads a Sheets export with title, header and quoted cells", () => {
+  const { words, metadata, warnings } = CSVFetcher.parse(
+    fixture("sheets-export.csv"),
+  );
+  assert.equal(metadata.title, "水果題本");
+  assert.deepEqual(metadata.columns, [
+    "term",
+    "zhuyin",
+    "hint",
+    "category",
+    "difficulty",
+  ]);
+  assert.deepEqual(
+    words.map((w) => w.term),
+    ["蘋果", "香蕉 ", '他說"好吃"', "芒果"],
+  );
+  assert.equal(words[0].hint, "紅色的, 一天一顆");
+  assert.equal(words[1].hint, "猴子最愛\r\n彎彎的");
+  assert.equal(words[0].difficulty, 1);
+  assert.equal(words[3].difficulty, "easy");
+  // The row without a term starts on line 7: the hint above spans two lines
+  assert.deepEqual(warnings, [{ line: 7, message: "第 7 列缺少題目，已略過" }]);
+});
+
+test("parse keeps a term with a quoted line break as one word", () => {
+  const { words, warnings } = CSVFetcher.parse(
+    '書名\r\nterm,hint\r\n"第一行\r\n第二行",x\r\n香蕉,\r\n,y\r\n',
+  );
+  assert.deepEqual(
+    words.map((w) => [w.term, w.hint]),
+    [
+      ["第一行\r\n第二行", "x"],
+      ["香蕉", undefined],
+    ],
+  );
+  // Lines are counted in the file, so the blank term is on line 6
+  assert.deepEqual(warnings, [{ line: 6, message: "第 6 列缺少題目，已略過" }]);
+});
+
+test("parse keeps the last word when the file ends inside a quote", () => {
+  const { words, warnings } = CSVFetcher.parse(
+    '書名\r\nterm,zhuyin\r\n香蕉,ㄒㄧㄤ ㄐㄧㄠ\r\n蘋果,"ㄆㄧㄥˊ',
+  );
+  assert.deepEqual(
+    words.map((w) => [w.term, w.zhuyin]),
+    [
+      ["香蕉", "ㄒㄧㄤ ㄐㄧㄠ"],
+      ["蘋果", "ㄆㄧㄥˊ"],
+    ],
+  );
+  assert.deepEqual(warnings, [{ line: 4, message: "第 4 列的引號沒有結束" }]);
+});
+
+test("parse keeps a repeated column apart instead of overwriting", () => {
+  const { words, metadata } = CSVFetcher.parse(
+    "term,zhuyin,term,note,note\nx,y,z,a,b\n",
+  );
+  assert.deepEqual(metadata.columns, [
+    "term",
+    "zhuyin",
+    "term (2)",
+    "note",
+    "note (2)",
+  ]);
+  assert.equal(words[0].term, "x");
+  assert.equal(words[0]["term (2)"], "z");
+  assert.equal(words[0]["note (2)"], "b");
+});
+
+test("parse reads the legacy layout with a BOM and no header row", () => {
+  const { words, metadata, warnings } = CSVFetcher.parse(
+    fixture("legacy-bom.csv"),
+  );
+  assert.equal(metadata.title, undefined);
+  assert.deepEqual(
+    words.map((w) => [w.term, w.zhuyin]),
+    [
+      ["蘋果", "ㄆㄧㄥˊ ㄍㄨㄛˇ"],
+      ["香蕉", "ㄒㄧㄤ ㄐㄧㄠ"],
+    ],
+  );
+  assert.deepEqual(warnings, []);
+});
+
+test("parse reports warnings from splitRows and parseRows in line order", () => {
+  const { words, warnings } = CSVFetcher.parse(
+    '書名\nterm,zhuyin\n,x\n"a"b,y\nc,"z\n',
+  );
+  assert.deepEqual(
+    words.map((w) => w.term),
+    ["ab", "c"],
+  );
+  assert.deepEqual(
+    warnings.map((w) => w.line),
+    [3, 4, 5],
+  );
+});
+
+test("parse gives every word an id, suffixing repeated terms", () => {
+  const { words } = CSVFetcher.parse("書名\nterm,id\n蘋果,\n蘋果,\n香蕉,b7\n");
+  assert.equal(words[1].id, `${words[0].id}~2`);
+  assert.equal(words[2].id, "b7");
+});
@@ -0,0 +1,177 @@
+// Signalling server tests. Run with: node --test tests/
+// The client below speaks just enough WebSocket to drive the server, since
+// Node 20 has no WebSocket client without a flag.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+import { once } from "node:events";
+import { createSignallingServer } from "../signalling-server.mjs";
+
+let server;
+let port;
+
+before(async () => {
+  server = createSignallingServer();
+  server.listen(0);
+  await once(server, "listening");
+  port = server.address().port;
+});
+
+after(() => server.close());
+
+// Masked client frame; `fin` false leaves the message open for continuations
+function frame(opcode, text, fin = true) {
+  const payload = Buffer.from(text);
+  const mask = crypto.randomBytes(4);
+  const length = payload.length;
+  const header =
+    length < 126
+      ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | length])
+      : Buffer.from([
+          (fin ? 0x80 : 0) | opcode,
+          0x80 | 126,
+          length >> 8,
+          length & 0xff,
+        ]);
+  const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+  return Buffer.concat([header, mask, masked]);
+}
+
+async function connect(to = port) {
+  const key = crypto.randomBytes(16).toString("base64");
+  const req = http.request({
+    port: to,
+    headers: {
+      Connection: "Upgrade",
+      Upgrade: "websocket",
+      "Sec-WebSocket-Key": key,
+      "Sec-WebSocket-Version": "13",
+    },
+  });
+  req.end();
+  const [res, socket] = await once(req, "upgrade");
+
+  // Server frames are small and unmasked: [opcode, length, payload]
+  const messages = [];
+  const waiting = [];
+  let buffer = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2 && buffer.length >= 2 + buffer[1]) {
+      const opcode = buffer[0] & 0x0f;
+      const text = buffer.subarray(2, 2 + buffer[1]).toString();
+      buffer = buffer.subarray(2 + buffer[1]);
+      if (opcode === 1) messages.push(JSON.parse(text));
+    }
+    while (waiting.length > 0 && messages.length > 0) {
+      waiting.shift()(messages.shift());
+    }
+  });
+
+  return {
+    res,
+    key,
+    socket,
+    send: (message) => socket.write(frame(1, JSON.stringify(message))),
+    next: () =>
+      messages.length > 0
+        ? Promise.resolve(messages.shift())
+        : new Promise((resolve) => waiting.push(resolve)),
+    close: () => socket.destroy(),
+  };
+}
+
+test("the handshake answers with the key's accept hash", async () => {
+  const client = await connect();
+  const accept = crypto
+    .createHash("sha1")
+    .update(client.key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11")
+    .digest("base64");
+  assert.equal(client.res.statusCode, 101);
+  assert.equal(client.res.headers["sec-websocket-accept"], accept);
+  client.close();
+});
+
+test("peers in a room are introduced and their signals relayed", async () => {
+  const host = await connect();
+  host.send({ type: "join", room: "ABCD", peerId: "host", role: "host" });
+  assert.deepEqual(await host.next(), { type: "peers", peers: [] });
+
+  const guest = await connect();
+  guest.send({ type: "join", room: "ABCD", peerId: "g1", role: "peer" });
+  assert.deepEqual(await guest.next(), {
+    type: "peers",
+    peers: [{ peerId: "host", role: "host" }],
+  });
+  assert.deepEqual(await host.next(), {
+    type: "peer-joined",
+    peerId: "g1",
+    role: "peer",
+  });
+
+  guest.send({ type: "signal", to: "host", data: { description: "offer" } });
+  assert.deepEqual(await host.next(), {
+    type: "signal",
+    from: "g1",
+    data: { description: "offer" },
+  });
+
+  guest.close();
+  assert.deepEqual(await host.next(), { type: "peer-left", peerId: "g1" });
+  host.close();
+});
+
+test("a second host for the same room is turned away", async () => {
+  const host = await connect();
+  host.send({ type: "join", room: "WXYZ", peerId: "host", role: "host" });
+  await host.next();
+
+  const other = await connect();
+  other.send({ type: "join", room: "WXYZ", peerId: "host2", role: "host" });
+  assert.deepEqual(await other.next(), { type: "error", reason: "room-taken" });
+  other.close();
+  host.close();
+});
+
+test("a message split into too many fragments closes the connection", async () => {
+  const client = await connect();
+  const ended = once(client.socket, "end");
+  const piece = "x".repeat(60000);
+  client.socket.write(frame(1, piece, false));
+  client.socket.write(frame(0, piece, false));
+  await ended;
+  client.close();
+});
+
+test("each server keeps its own rooms and logs through the callback", async () => {
+  const lines = [];
+  let onLeft;
+  const left = new Promise((resolve) => (onLeft = resolve));
+  const other = createSignallingServer({
+    log: (line) => {
+      lines.push(line);
+      if (line.includes("left")) onLeft();
+    },
+  });
+  other.listen(0);
+  await once(other, "listening");
+
+  const host = await connect();
+  host.send({ type: "join", room: "SAME", peerId: "host", role: "host" });
+  await host.next();
+
+  // The same room code is free on the second server
+  const otherHost = await connect(other.address().port);
+  otherHost.send({ type: "join", room: "SAME", peerId: "host", role: "host" });
+  assert.deepEqual(await otherHost.next(), { type: "peers", peers: [] });
+
+  otherHost.close();
+  host.close();
+  await left;
+  assert.deepEqual(lines, [
+    "host host joined room SAME",
+    "host host left room SAME",
+  ]);
+  other.close();
+});